@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Run the labeled regression corpus against the current prompt and provider.
+ *
+ *   npm run corpus -- [--guild <guildId>] [--rule <ruleId>] [--json]
+ *
+ * Prints precision/recall per rule and what changed since the last run
+ * (dashboard runs included). Exits with code 1 when an example that passed
+ * last time fails now.
+ */
+const regressionSuite = require('../src/bot/regression-suite');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--guild') args.guildId = argv[++i];
+    else if (argv[i] === '--rule') args.ruleId = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--help' || argv[i] === '-h') args.help = true;
+  }
+  return args;
+}
+
+const pct = value => (value === null || value === undefined ? '  —  ' : `${(value * 100).toFixed(0).padStart(3)}%`);
+const signed = value => (!value ? '' : ` (${value > 0 ? '+' : ''}${(value * 100).toFixed(0)})`);
+
+function printReport(run) {
+  const { metrics, diff } = run;
+  console.log(`\nProvider: ${run.provider}${run.model ? ` (${run.model})` : ''} · style: ${run.moderationStyle}` +
+    `${run.guildId ? ` · guild ${run.guildId}` : ''} · ${(run.durationMs / 1000).toFixed(1)}s`);
+  console.log(`Accuracy: ${metrics.correct}/${metrics.total - metrics.errors} (${pct(metrics.accuracy).trim()})${signed(diff?.accuracy)}` +
+    ` · false positives on clean messages: ${metrics.falsePositives}` +
+    `${metrics.errors ? ` · ${metrics.errors} AI error(s)` : ''}\n`);
+
+  console.log('Rule'.padEnd(14) + 'TP'.padStart(4) + 'FP'.padStart(4) + 'FN'.padStart(4) + '  Precision     Recall');
+  for (const [id, r] of Object.entries(metrics.byRule).sort(([a], [b]) => a.localeCompare(b))) {
+    const d = diff?.byRule[id] || {};
+    console.log(id.padEnd(14) + String(r.tp).padStart(4) + String(r.fp).padStart(4) + String(r.fn).padStart(4) +
+      `  ${(pct(r.precision) + signed(d.precision)).padEnd(12)}  ${pct(r.recall)}${signed(d.recall)}`);
+  }
+
+  const failing = run.results.filter(r => !r.correct);
+  if (failing.length > 0) {
+    console.log('\nMisclassified:');
+    for (const r of failing) {
+      const got = r.error ? `error: ${r.error}` : `got [${r.predicted.join(', ')}]`;
+      console.log(`  ${r.id}: expected [${r.expected.join(', ')}], ${got}`);
+    }
+  }
+
+  if (diff) {
+    console.log(`\nSince last run (${diff.previousTimestamp}): ${diff.changed.length} verdict(s) changed`);
+    for (const c of diff.changed) {
+      const mark = c.fixed ? '✓ fixed' : c.broke ? '✗ broke' : '~';
+      console.log(`  ${mark} ${c.id}: [${c.before.join(', ')}] → [${c.after.join(', ')}]`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: npm run corpus -- [--guild <guildId>] [--rule <ruleId>] [--json]');
+    return;
+  }
+
+  const run = await regressionSuite.run({
+    guildId: args.guildId,
+    ruleId: args.ruleId,
+    onProgress: args.json ? null : (done, total) => process.stderr.write(`\rRunning ${done}/${total}...`)
+  });
+  if (!args.json) process.stderr.write('\n');
+
+  if (args.json) console.log(JSON.stringify(run, null, 2));
+  else printReport(run);
+
+  if (run.diff?.changed.some(c => c.broke)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(`Corpus run failed: ${err.message}`);
+  process.exitCode = 1;
+});
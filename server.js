@@ -5,8 +5,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const auth = require('./src/auth/auth');
 const modBot = require('./src/bot/mod-bot');
+const regressionSuite = require('./src/bot/regression-suite');
+const feedback = require('./src/bot/feedback');
+const banRequests = require('./src/bot/ban-requests');
 const ConfigManager = require('./src/config/config-manager');
 const logger = require('./src/utils/logger');
+const { getInfractions } = require('./src/bot/infractions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -144,10 +148,28 @@ app.get('/api/rules', requireAuth, (req, res) => {
 });
 
 app.put('/api/rules/:id', requireAuth, (req, res) => {
+  const errors = ConfigManager.validateRuleUpdate(req.params.id, req.body);
+  if (!errors) return res.status(404).json({ error: 'Rule not found' });
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
   res.json(ConfigManager.updateRule(req.params.id, req.body));
 });
 
+app.post('/api/rules', requireAuth, (req, res) => {
+  const errors = ConfigManager.validateRule(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  res.json(ConfigManager.addRule(req.body));
+});
+
+app.delete('/api/rules/:id', requireAuth, (req, res) => {
+  if (!ConfigManager.deleteRule(req.params.id)) {
+    return res.status(400).json({ error: 'Only custom rules can be deleted — disable built-in rules instead' });
+  }
+  res.json({ success: true });
+});
+
 app.put('/api/rules', requireAuth, (req, res) => {
+  const errors = ConfigManager.validateRules(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
   ConfigManager.setRules(req.body);
   res.json({ success: true });
 });
@@ -161,6 +183,10 @@ app.put('/api/settings', requireAuth, (req, res) => {
   res.json(ConfigManager.updateSettings(req.body));
 });
 
+app.get('/api/styles', requireAuth, (req, res) => {
+  res.json(ConfigManager.listStyles());
+});
+
 app.get('/api/settings/token', requireAuth, (req, res) => {
   res.json({ token: ConfigManager.getBotToken() });
 });
@@ -175,6 +201,154 @@ app.post('/api/config/reset', requireAuth, (req, res) => {
   res.json({ success: true });
 });
 
+// ─── Guild Profiles API ─────────────────────────────────────
+// Per-guild rules/settings; anything a guild doesn't override is inherited
+// from the global config above
+function requireGuildId(req, res, next) {
+  if (!/^\d{15,25}$/.test(req.params.guildId)) {
+    return res.status(400).json({ error: 'Invalid guild ID' });
+  }
+  next();
+}
+
+app.get('/api/guilds', requireAuth, (req, res) => {
+  const connected = modBot.getStatus().guildList || [];
+  const profiles = ConfigManager.listGuildProfiles();
+  const guilds = connected.map(g => ({ id: g.id, name: g.name, hasProfile: profiles.includes(g.id) }));
+  for (const id of profiles) {
+    if (!guilds.some(g => g.id === id)) guilds.push({ id, name: null, hasProfile: true });
+  }
+  res.json(guilds);
+});
+
+// Text channels and roles for the settings pickers (needs the bot connected)
+app.get('/api/guilds/:guildId/resources', requireAuth, requireGuildId, (req, res) => {
+  const resources = modBot.getGuildResources(req.params.guildId);
+  if (!resources) return res.status(404).json({ error: 'The bot isn\'t connected to this server' });
+  res.json(resources);
+});
+
+app.get('/api/guilds/:guildId/rules', requireAuth, requireGuildId, (req, res) => {
+  const { rules: overrides, customRules } = ConfigManager.getGuildOverrides(req.params.guildId);
+  res.json(ConfigManager.getRules(req.params.guildId).map(r => ({
+    ...r,
+    overridden: !!overrides[r.id],
+    guildOnly: customRules.some(c => c.id === r.id)
+  })));
+});
+
+app.put('/api/guilds/:guildId/rules/:id', requireAuth, requireGuildId, (req, res) => {
+  const errors = ConfigManager.validateRuleUpdate(req.params.id, req.body, req.params.guildId);
+  if (!errors) return res.status(404).json({ error: 'Rule not found' });
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  res.json(ConfigManager.updateRule(req.params.id, req.body, req.params.guildId));
+});
+
+app.post('/api/guilds/:guildId/rules', requireAuth, requireGuildId, (req, res) => {
+  const errors = ConfigManager.validateRule(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  res.json(ConfigManager.addRule(req.body, req.params.guildId));
+});
+
+app.delete('/api/guilds/:guildId/rules/:id', requireAuth, requireGuildId, (req, res) => {
+  if (!ConfigManager.deleteRule(req.params.id, req.params.guildId)) {
+    return res.status(400).json({ error: 'Only this server\'s own custom rules can be deleted here' });
+  }
+  res.json({ success: true });
+});
+
+app.put('/api/guilds/:guildId/rules', requireAuth, requireGuildId, (req, res) => {
+  if (!Array.isArray(req.body)) return res.status(400).json({ error: 'Expected an array of rules' });
+  const rules = req.body.map(({ overridden, guildOnly, ...rule }) => rule);
+  const errors = ConfigManager.validateRules(rules, req.params.guildId);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  ConfigManager.setRules(rules, req.params.guildId);
+  res.json({ success: true });
+});
+
+app.delete('/api/guilds/:guildId/rules', requireAuth, requireGuildId, (req, res) => {
+  ConfigManager.resetGuild(req.params.guildId, 'rules');
+  res.json({ success: true });
+});
+
+app.get('/api/guilds/:guildId/settings', requireAuth, requireGuildId, (req, res) => {
+  res.json({
+    ...ConfigManager.getSettings(req.params.guildId),
+    overridden: Object.keys(ConfigManager.getGuildOverrides(req.params.guildId).settings)
+  });
+});
+
+app.put('/api/guilds/:guildId/settings', requireAuth, requireGuildId, (req, res) => {
+  res.json(ConfigManager.updateSettings(req.body, req.params.guildId));
+});
+
+app.delete('/api/guilds/:guildId/settings', requireAuth, requireGuildId, (req, res) => {
+  ConfigManager.resetGuild(req.params.guildId, 'settings');
+  res.json({ success: true });
+});
+
+// ─── Rule Playground ────────────────────────────────────────
+app.post('/api/analyze', requireAuth, async (req, res) => {
+  const { content, guildId, roleIds, context } = req.body || {};
+  if (typeof content !== 'string' || !content.trim() || content.length > 4000) {
+    return res.status(400).json({ error: 'Message content is required (max 4000 characters)' });
+  }
+  if (guildId && !/^\d{15,25}$/.test(guildId)) {
+    return res.status(400).json({ error: 'Invalid guild ID' });
+  }
+  if ((roleIds && !Array.isArray(roleIds)) || (context && !Array.isArray(context))) {
+    return res.status(400).json({ error: 'roleIds and context must be arrays' });
+  }
+
+  try {
+    res.json(await modBot.testMessage({
+      ...req.body,
+      context: (context || []).slice(-20).map(m => ({ author: String(m.author || 'User'), content: String(m.content || '') }))
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Regression Corpus ──────────────────────────────────────
+app.get('/api/corpus', requireAuth, (req, res) => {
+  res.json({ examples: regressionSuite.getExamples(), status: regressionSuite.status });
+});
+
+app.post('/api/corpus', requireAuth, (req, res) => {
+  const errors = regressionSuite.validateExample(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  res.json(regressionSuite.addExample(req.body));
+});
+
+app.delete('/api/corpus/:id', requireAuth, (req, res) => {
+  if (!regressionSuite.deleteExample(req.params.id)) return res.status(404).json({ error: 'Example not found' });
+  res.json({ success: true });
+});
+
+// Runs can take a while with a real provider, so they start in the
+// background and the dashboard polls /api/corpus/runs for progress
+app.post('/api/corpus/run', requireAuth, (req, res) => {
+  const { guildId, ruleId } = req.body || {};
+  if (guildId && !/^\d{15,25}$/.test(guildId)) return res.status(400).json({ error: 'Invalid guild ID' });
+  if (regressionSuite.status.running) return res.status(409).json({ error: 'A corpus run is already in progress' });
+
+  regressionSuite.run({ guildId, ruleId })
+    .catch(error => logger.error({ error: error.message, context: 'Corpus run failed', stack: error.stack }));
+  res.json({ success: true });
+});
+
+app.get('/api/corpus/runs', requireAuth, (req, res) => {
+  const runs = regressionSuite.getRuns().map(({ results, ...summary }) => summary);
+  res.json({ status: regressionSuite.status, runs: runs.reverse() });
+});
+
+app.get('/api/corpus/runs/:id', requireAuth, (req, res) => {
+  const run = regressionSuite.getRuns().find(r => r.id === req.params.id);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  res.json(run);
+});
+
 // ─── Logs API ───────────────────────────────────────────────
 app.get('/api/logs', requireAuth, (req, res) => {
   res.json(logger.getLogs(req.query));
@@ -184,15 +358,72 @@ app.get('/api/logs/recent/:count', requireAuth, (req, res) => {
   res.json(logger.getRecentLogs(parseInt(req.params.count) || 100));
 });
 
+app.get('/api/logs/entry/:id', requireAuth, (req, res) => {
+  const entry = logger.getLogById(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Log entry not found' });
+  res.json(entry);
+});
+
+app.post('/api/logs/entry/:id/feedback', requireAuth, async (req, res) => {
+  const { verdict, ruleIds, note } = req.body || {};
+  try {
+    const result = await modBot.submitFeedback(req.params.id, {
+      verdict, ruleIds, note,
+      moderator: { type: 'human', tag: 'Dashboard' }
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/stats', requireAuth, (req, res) => {
   res.json(logger.getStats());
 });
 
+// ─── Moderator Feedback ─────────────────────────────────────
+app.get('/api/feedback/stats', requireAuth, (req, res) => {
+  res.json(feedback.getStats(parseInt(req.query.days) || 30));
+});
+
+app.post('/api/feedback/export', requireAuth, (req, res) => {
+  res.json(feedback.exportToCorpus());
+});
+
 app.delete('/api/logs', requireAuth, (req, res) => {
   logger.clearMemory();
   res.json({ success: true });
 });
 
+// ─── Ban Requests ───────────────────────────────────────────
+app.get('/api/bans', requireAuth, (req, res) => {
+  if (req.query.status && !banRequests.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `Status must be one of: ${banRequests.STATUSES.join(', ')}` });
+  }
+  res.json(banRequests.list({ status: req.query.status, guildId: req.query.guildId }));
+});
+
+// Same as the Approve/Deny buttons on the Discord ban request: the dashboard
+// casts one vote, and the request is decided once enough reviewers agree
+app.post('/api/bans/:id/:decision(approve|deny)', requireAuth, async (req, res) => {
+  try {
+    const result = await modBot.voteOnBanRequest(req.params.id, req.params.decision, { type: 'human', tag: 'Dashboard' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.request);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Users API ──────────────────────────────────────────────
+app.get('/api/users/:id', requireAuth, (req, res) => {
+  if (!/^\d{15,25}$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  res.json(getInfractions(req.params.id, req.query.guildId || null));
+});
+
 // ─── Summaries API ──────────────────────────────────────────
 app.get('/api/summaries', requireAuth, (req, res) => {
   try {
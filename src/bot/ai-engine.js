@@ -1,55 +1,175 @@
-const axios = require('axios');
 const ConfigManager = require('../config/config-manager');
 const logger = require('../utils/logger');
+const { createProvider } = require('./providers');
+const verdictCache = require('./verdict-cache');
+const { extractJson, validateVerdict, validateBatch, validatePurge } = require('./response-schema');
+const { rulesForMessage, rulesForChannel } = require('./rule-scope');
+
+// One initial attempt plus one repair attempt for malformed JSON
+const MAX_JSON_ATTEMPTS = 2;
+
+// Rough chars-per-token ratio used to keep few-shot examples within budget
+const CHARS_PER_TOKEN = 4;
 
 class AIEngine {
   constructor() {
-    this.apiBase = 'https://text.pollinations.ai';
-    this.userWarnings = new Map(); // userId -> warning count
+    this.providers = new Map(); // guildId ('' = global) -> { key, provider }
     this.recentMessages = new Map(); // channelId -> last N messages for context
     this.maxContext = 10;
   }
 
-  _buildSystemPrompt(rules) {
+  /**
+   * Resolve a guild's AI provider, reusing its instance while that guild's
+   * provider settings are unchanged. Each guild has its own slot, so guilds
+   * with different provider profiles don't evict each other.
+   */
+  _getProvider(guildId) {
+    const settings = ConfigManager.getSettings(guildId);
+    const id = settings.aiProvider || 'pollinations';
+    const options = {
+      model: settings.aiModel,
+      baseUrl: settings.aiBaseUrl || process.env.AI_BASE_URL || '',
+      apiKey: id === 'pollinations'
+        ? ConfigManager.getPollinationsKey()
+        : settings.aiApiKey || process.env.AI_API_KEY || ''
+    };
+
+    const key = JSON.stringify([id, options]);
+    const cached = this.providers.get(guildId || '');
+    if (cached?.key === key) return cached.provider;
+
+    const provider = createProvider(id, options);
+    this.providers.set(guildId || '', { key, provider });
+    return provider;
+  }
+
+  _complete(guildId, request) {
+    return this._getProvider(guildId).complete(request);
+  }
+
+  /**
+   * Run a JSON task and validate the output. Malformed responses are logged
+   * as ai_parse_failure and the model gets one chance to repair them, with
+   * the validation errors fed back; after that the call throws.
+   *
+   * Pass a `trace` array to collect every raw response and its errors.
+   */
+  async _completeJson(guildId, request, validate, trace) {
+    let messages = request.messages;
+
+    for (let attempt = 1; attempt <= MAX_JSON_ATTEMPTS; attempt++) {
+      const text = await this._complete(guildId, { ...request, messages });
+
+      let errors;
+      try {
+        const checked = validate(extractJson(text));
+        errors = checked.errors;
+        if (trace) trace.push({ attempt, response: text, errors });
+        if (errors.length === 0) return checked.value;
+      } catch (e) {
+        errors = [e.message];
+        if (trace) trace.push({ attempt, response: text, errors });
+      }
+
+      const retrying = attempt < MAX_JSON_ATTEMPTS;
+      logger.parseFailure({ task: request.task, guildId, attempt, retrying, errors, response: text });
+      if (!retrying) throw new Error(`Invalid AI response: ${errors.join('; ')}`);
+
+      messages = [
+        ...request.messages,
+        { role: 'assistant', content: String(text).substring(0, 4000) },
+        { role: 'user', content: `Your response was invalid:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.` }
+      ];
+    }
+  }
+
+  _buildSystemPrompt(rules, options = {}) {
     const enabledRules = rules.filter(r => r.enabled);
-    const settings = ConfigManager.getSettings();
+    const settings = ConfigManager.getSettings(options.guildId);
+    const style = ConfigManager.getStyle(options.guildId);
+
+    const verdictFields = `"flagged": true/false,
+  "violations": ["ruleId1"],
+  "confidence": 0.0-1.0,
+  "ruleConfidence": { "ruleId1": 0.0-1.0 },
+  "reasoning": "Brief explanation",
+  "suggestedAction": "none|warn|timeout|kick|request_ban",
+  "suggestedDuration": seconds_or_0,
+  "replyMessage": "Optional friendly message to send in chat (null if not needed)"`;
+
+    const responseFormat = options.batch
+      ? `RESPONSE FORMAT — You will receive several numbered messages. Judge EACH one on its own and respond with ONLY valid JSON, no extra text, with exactly one result per message:
+{
+  "results": [
+    {
+      "index": 0,
+      ${verdictFields.replace(/\n/g, '\n    ')}
+    }
+  ]
+}`
+      : `RESPONSE FORMAT — You MUST respond with ONLY valid JSON, no extra text:
+{
+  ${verdictFields}
+}`;
 
     return `You are ColorGG, an AI Discord moderator. You are part of the server staff and act like a friendly, fair community member who also happens to moderate.
 
 YOUR PERSONALITY:
 - You are calm, reasonable, and fair
-- You are NOT overly strict — you understand context, humor, sarcasm, and friendly banter
+- You understand context, humor, sarcasm, and friendly banter
 - You only take action when there is a genuine violation
-- You give people the benefit of the doubt
 - You act like a normal chill member who keeps the peace
 - You are helpful and approachable
 
-MODERATION STYLE: ${settings.moderationStyle || 'balanced'}
+MODERATION STYLE: ${style.name.toUpperCase()}
+${style.prompt}
 
 YOUR MODERATION RULES (only flag if GENUINELY violated):
-${enabledRules.map(r => `- [${r.id}] ${r.name} (severity: ${r.severity}, action: ${r.action}): ${r.aiPrompt}`).join('\n')}
-
-RESPONSE FORMAT — You MUST respond with ONLY valid JSON, no extra text:
-{
-  "flagged": true/false,
-  "violations": ["ruleId1"],
-  "confidence": 0.0-1.0,
-  "reasoning": "Brief explanation",
-  "suggestedAction": "none|warn|timeout|kick|request_ban",
-  "suggestedDuration": seconds_or_0,
-  "replyMessage": "Optional friendly message to send in chat (null if not needed)"
-}
+${enabledRules.map(r => `- [${r.id}] ${r.name} (severity: ${r.severity}, min confidence: ${ConfigManager.getThreshold(r, options.guildId)}): ${r.aiPrompt}`).join('\n')}
+${this._formatExamples(enabledRules, settings.fewShotTokenBudget ?? 400)}
+${responseFormat}
 
 IMPORTANT GUIDELINES:
-- confidence must be > 0.7 to flag a message
+- Each rule lists its own min confidence — only report a violation when your confidence for that rule meets it
+- Give your confidence for each reported rule in ruleConfidence; confidence is your overall confidence
+- Only judge whether a rule was broken — the action taken is decided by each rule's escalation ladder and the user's history
 - Normal conversation, jokes, memes, gaming talk = NOT flagged
-- Mild profanity in casual conversation = NOT flagged (unless directed as harassment)
 - Only flag genuinely harmful, dangerous, or rule-breaking content
-- When in doubt, do NOT flag — false positives are worse than false negatives
+${style.guidelines.map(g => `- ${g}`).join('\n')}
 - If you do flag, provide a clear, concise reasoning
 - The replyMessage should be friendly and explain why action was taken, like a real mod would`;
   }
 
+  /**
+   * Few-shot examples from the rules, taken round-robin (one violating and
+   * one acceptable example per rule per pass) so every rule gets a share of
+   * the token budget. Examples that don't fit are skipped.
+   */
+  _formatExamples(rules, budgetTokens) {
+    // passes[i] holds each rule's i-th violating and acceptable example
+    const passes = [];
+    for (const r of rules) {
+      const positive = r.examples?.positive || [];
+      const negative = r.examples?.negative || [];
+      for (let i = 0; i < Math.max(positive.length, negative.length); i++) {
+        if (!passes[i]) passes[i] = [];
+        if (positive[i]) passes[i].push(`- [${r.id}] VIOLATES: "${positive[i]}"`);
+        if (negative[i]) passes[i].push(`- [${r.id}] FINE: "${negative[i]}"`);
+      }
+    }
+
+    let budget = Math.max(Number(budgetTokens) || 0, 0) * CHARS_PER_TOKEN;
+    const picked = [];
+    for (const line of passes.flat()) {
+      if (line.length + 1 > budget) continue;
+      picked.push(line);
+      budget -= line.length + 1;
+    }
+
+    if (picked.length === 0) return '';
+    return `\nEXAMPLES FROM THIS COMMUNITY (how the rules apply here — go by their spirit, including local slang and in-jokes):\n${picked.join('\n')}\n`;
+  }
+
   _trackMessage(channelId, message) {
     if (!this.recentMessages.has(channelId)) {
       this.recentMessages.set(channelId, []);
@@ -66,82 +186,136 @@ IMPORTANT GUIDELINES:
   }
 
   _getChannelContext(channelId) {
-    const msgs = this.recentMessages.get(channelId) || [];
+    return this._formatContext(this.recentMessages.get(channelId) || []);
+  }
+
+  _formatContext(msgs) {
     if (msgs.length === 0) return '';
     return '\nRECENT CHAT CONTEXT:\n' + msgs.map(m => `${m.author}: ${m.content}`).join('\n');
   }
 
-  async analyzeMessage(message) {
-    const rules = ConfigManager.getRules();
-    const enabledRules = rules.filter(r => r.enabled);
+  /**
+   * Whether a violation of `rule` is confident enough to act on, using the
+   * per-rule confidence when the model gave one and the overall one otherwise.
+   * The threshold depends on the guild's moderation style.
+   */
+  meetsThreshold(analysis, rule, guildId) {
+    const confidence = analysis.ruleConfidence?.[rule.id] ?? analysis.confidence;
+    return confidence >= ConfigManager.getThreshold(rule, guildId);
+  }
 
-    if (enabledRules.length === 0) {
-      return { flagged: false, violations: [], confidence: 0, reasoning: 'No rules enabled' };
+  /**
+   * Drop violations below their rule's threshold; the message is only
+   * flagged if at least one violation survives
+   */
+  _normalizeResult(result, rules, guildId) {
+    const kept = [];
+    const belowThreshold = [];
+    for (const id of result.violations) {
+      const rule = rules.find(r => r.id === id);
+      (rule && this.meetsThreshold(result, rule, guildId) ? kept : belowThreshold).push(id);
     }
+    result.violations = kept;
+    result.belowThreshold = belowThreshold;
+    result.flagged = result.flagged === true && kept.length > 0;
+    return result;
+  }
 
-    this._trackMessage(message.channel?.id || 'unknown', message);
+  _enabledRuleIds(rules) {
+    return rules.filter(r => r.enabled).map(r => r.id);
+  }
 
-    const systemPrompt = this._buildSystemPrompt(rules);
-    const channelContext = this._getChannelContext(message.channel?.id || 'unknown');
+  _logAnalysis(message, result) {
+    logger.aiAnalysis({
+      userId: message.author?.id,
+      username: message.author?.username,
+      channelId: message.channel?.id,
+      channelName: message.channel?.name,
+      guildId: message.guild?.id,
+      guildName: message.guild?.name,
+      messageContent: message.content,
+      flagged: result.flagged,
+      violations: result.violations,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      cached: result.cached
+    });
+  }
+
+  _failedResult(error) {
+    return {
+      flagged: false,
+      violations: [],
+      confidence: 0,
+      reasoning: `AI analysis failed: ${error.message}`,
+      suggestedAction: 'none',
+      suggestedDuration: 0,
+      replyMessage: null
+    };
+  }
+
+  _analyzeRequest(message, rules, channelContext, signals = []) {
+    const systemPrompt = this._buildSystemPrompt(rules, { guildId: message.guild?.id });
+    const signalLines = signals.length > 0
+      ? `\nPre-filter signals (hints, not verdicts):\n${signals.map(s => `- ${s}`).join('\n')}`
+      : '';
 
     const userPrompt = `Analyze this Discord message for rule violations:
 
 Author: ${message.author?.username || 'Unknown'} (ID: ${message.author?.id || 'unknown'})
 Channel: #${message.channel?.name || 'unknown'}
-Message: "${message.content}"
+Message: "${message.content}"${signalLines}
 ${channelContext}
 
 Respond with ONLY the JSON object.`;
 
-    try {
-      const response = await axios.post(this.apiBase, {
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        model: 'openai',
-        jsonMode: true,
-        seed: Math.floor(Math.random() * 100000)
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${ConfigManager.getPollinationsKey()}`
-        },
-        timeout: 30000
-      });
+    return {
+      task: 'analyze',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      jsonMode: true,
+      timeout: 30000,
+      input: { content: message.content, rules, settings: ConfigManager.getSettings(message.guild?.id) }
+    };
+  }
 
-      let result;
-      const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  /**
+   * @param {{ signals?: string[] }} [options] - pre-filter hints for the AI;
+   *   messages with signals skip the verdict cache, since the same text can
+   *   be harmless without them
+   */
+  async analyzeMessage(message, options = {}) {
+    const signals = options.signals || [];
+    const rules = rulesForMessage(ConfigManager.getRules(message.guild?.id), message);
+    const enabledRules = rules.filter(r => r.enabled);
 
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        result = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in AI response');
-      }
+    if (enabledRules.length === 0) {
+      return { flagged: false, violations: [], confidence: 0, reasoning: 'No rules enabled' };
+    }
 
-      // Validate and normalize
-      result.flagged = result.flagged === true && (result.confidence || 0) > 0.7;
-      result.violations = Array.isArray(result.violations) ? result.violations : [];
-      result.confidence = typeof result.confidence === 'number' ? result.confidence : 0;
-      result.reasoning = result.reasoning || 'No reasoning provided';
-      result.suggestedAction = result.suggestedAction || 'none';
-      result.suggestedDuration = result.suggestedDuration || 0;
-
-      // Log analysis
-      logger.aiAnalysis({
-        userId: message.author?.id,
-        username: message.author?.username,
-        channelId: message.channel?.id,
-        channelName: message.channel?.name,
-        messageContent: message.content,
-        flagged: result.flagged,
-        violations: result.violations,
-        confidence: result.confidence,
-        reasoning: result.reasoning
-      });
+    this._trackMessage(message.channel?.id || 'unknown', message);
 
+    // Reuse a recent verdict for the same (normalized) content
+    const cached = signals.length === 0 && verdictCache.get(message.guild?.id, message.content, rules);
+    if (cached) {
+      this._logAnalysis(message, cached);
+      return cached;
+    }
+
+    const channelContext = this._getChannelContext(message.channel?.id || 'unknown');
+
+    try {
+      const result = await this._completeJson(
+        message.guild?.id,
+        this._analyzeRequest(message, rules, channelContext, signals),
+        (raw) => validateVerdict(raw, this._enabledRuleIds(rules))
+      );
+
+      this._normalizeResult(result, rules, message.guild?.id);
+      if (signals.length === 0) verdictCache.set(message.guild?.id, message.content, rules, result);
+      this._logAnalysis(message, result);
       return result;
     } catch (error) {
       logger.error({
@@ -150,35 +324,120 @@ Respond with ONLY the JSON object.`;
         stack: error.stack
       });
 
-      return {
-        flagged: false,
-        violations: [],
-        confidence: 0,
-        reasoning: `AI analysis failed: ${error.message}`,
-        suggestedAction: 'none',
-        suggestedDuration: 0,
-        replyMessage: null
-      };
+      return this._failedResult(error);
     }
   }
 
-  getWarningCount(userId) {
-    return this.userWarnings.get(userId) || 0;
-  }
+  /**
+   * Playground run: analyze a made-up message exactly like analyzeMessage,
+   * but without the verdict cache, channel history or analysis log entries. `context` is
+   * a list of { author, content } lines shown to the model as recent chat.
+   * Returns the raw responses alongside the normalized verdict.
+   */
+  async testMessage(message, context = []) {
+    const rules = rulesForMessage(ConfigManager.getRules(message.guild?.id), message);
+    const applied = rules.filter(r => r.enabled).map(r => r.id);
+    if (applied.length === 0) {
+      return { rules: applied, trace: [], verdict: { flagged: false, violations: [], confidence: 0, reasoning: 'No rules apply' } };
+    }
+
+    const request = this._analyzeRequest(message, rules, this._formatContext(context));
+    const trace = [];
 
-  addWarning(userId) {
-    const count = this.getWarningCount(userId) + 1;
-    this.userWarnings.set(userId, count);
-    return count;
+    try {
+      const result = await this._completeJson(message.guild?.id, request, (raw) => validateVerdict(raw, applied), trace);
+      return { rules: applied, prompt: request.messages, trace, verdict: this._normalizeResult(result, rules, message.guild?.id) };
+    } catch (error) {
+      return { rules: applied, prompt: request.messages, trace, verdict: this._failedResult(error), error: error.message };
+    }
   }
 
-  resetWarnings(userId) {
-    this.userWarnings.delete(userId);
+  /**
+   * Classify several messages from one channel in a single AI request.
+   * Returns one result per message, in the same order.
+   */
+  async analyzeBatch(messages) {
+    if (messages.length === 1) return [await this.analyzeMessage(messages[0])];
+
+    // Messages that see different rule sets (scoped by role) can't share a prompt
+    const guildRules = ConfigManager.getRules(messages[0].guild?.id);
+    const ruleSets = messages.map(m => rulesForMessage(guildRules, m));
+    const keys = ruleSets.map(set => set.map(r => r.id).join(','));
+    if (new Set(keys).size > 1) {
+      const grouped = new Array(messages.length);
+      for (const key of new Set(keys)) {
+        const indexes = keys.map((k, i) => (k === key ? i : -1)).filter(i => i !== -1);
+        const results = await this.analyzeBatch(indexes.map(i => messages[i]));
+        indexes.forEach((idx, j) => { grouped[idx] = results[j]; });
+      }
+      return grouped;
+    }
+
+    const rules = ruleSets[0];
+    const enabledRules = rules.filter(r => r.enabled);
+    const clean = { flagged: false, violations: [], confidence: 0, reasoning: 'No rules enabled' };
+
+    if (enabledRules.length === 0) return messages.map(() => ({ ...clean }));
+
+    const first = messages[0];
+    const guildId = first.guild?.id;
+    const channelId = first.channel?.id || 'unknown';
+    // Context is what came before the batch; the batch itself is listed below
+    const channelContext = this._getChannelContext(channelId);
+    messages.forEach(m => this._trackMessage(channelId, m));
+
+    // Serve what we can from the verdict cache; only the misses go to the AI
+    const results = messages.map(m => verdictCache.get(guildId, m.content, rules));
+    results.forEach((r, i) => { if (r) this._logAnalysis(messages[i], r); });
+    const misses = messages.filter((m, i) => !results[i]);
+    if (misses.length === 0) return results;
+
+    const systemPrompt = this._buildSystemPrompt(rules, { batch: true, guildId });
+    const formatted = misses.map((m, i) =>
+      `[${i}] ${m.author?.username || 'Unknown'} (ID: ${m.author?.id || 'unknown'}): "${m.content}"`
+    ).join('\n');
+
+    const userPrompt = `Analyze these ${misses.length} Discord messages from #${first.channel?.name || 'unknown'} for rule violations:
+
+${formatted}
+${channelContext}
+
+Respond with ONLY the JSON object containing one result per message index.`;
+
+    try {
+      const verdicts = await this._completeJson(guildId, {
+        task: 'analyze_batch',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        jsonMode: true,
+        timeout: 45000,
+        input: { messages: misses, rules, settings: ConfigManager.getSettings(guildId) }
+      }, (raw) => validateBatch(raw, misses.length, this._enabledRuleIds(rules)));
+
+      misses.forEach((message, i) => {
+        const result = this._normalizeResult(verdicts[i], rules, guildId);
+        verdictCache.set(guildId, message.content, rules, result);
+        this._logAnalysis(message, result);
+        results[messages.indexOf(message)] = result;
+      });
+      return results;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        context: 'AI batch analysis failed',
+        stack: error.stack
+      });
+
+      return results.map(r => r || this._failedResult(error));
+    }
   }
 
-  async generateReply(context, prompt) {
+  async generateReply(context, prompt, guildId) {
     try {
-      const response = await axios.post(this.apiBase, {
+      return await this._complete(guildId, {
+        task: 'reply',
         messages: [
           {
             role: 'system',
@@ -186,17 +445,9 @@ Respond with ONLY the JSON object.`;
           },
           { role: 'user', content: `Context: ${context}\n\nRespond to: ${prompt}` }
         ],
-        model: 'openai',
-        seed: Math.floor(Math.random() * 100000)
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${ConfigManager.getPollinationsKey()}`
-        },
-        timeout: 30000
+        timeout: 30000,
+        input: { context, prompt }
       });
-
-      return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
     } catch (error) {
       logger.error({ error: error.message, context: 'AI reply generation failed' });
       return null;
@@ -206,11 +457,12 @@ Respond with ONLY the JSON object.`;
   /**
    * Summarize an array of Discord messages using AI
    */
-  async summarizeChat(messages, channelName, guildName) {
+  async summarizeChat(messages, channelName, guildName, guildId) {
     const formatted = messages.map(m => `[${m.author?.tag || m.author?.username || 'Unknown'}] ${m.content}`).join('\n');
 
     try {
-      const response = await axios.post(this.apiBase, {
+      const summary = await this._complete(guildId, {
+        task: 'summary',
         messages: [
           {
             role: 'system',
@@ -225,17 +477,10 @@ Keep it concise and useful for a moderator reviewing the chat.`
           },
           { role: 'user', content: `Summarize this chat (${messages.length} messages from #${channelName}):\n\n${formatted}` }
         ],
-        model: 'openai',
-        seed: Math.floor(Math.random() * 100000)
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${ConfigManager.getPollinationsKey()}`
-        },
-        timeout: 45000
+        timeout: 45000,
+        input: { messages, channelName }
       });
 
-      const summary = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
       return {
         summary,
         channelName,
@@ -252,13 +497,14 @@ Keep it concise and useful for a moderator reviewing the chat.`
   /**
    * Analyze messages for AI purge — returns which messages violate rules
    */
-  async analyzeForPurge(messages, channelName) {
-    const rules = ConfigManager.getRules();
+  async analyzeForPurge(messages, channelName, guildId) {
+    const rules = rulesForChannel(ConfigManager.getRules(guildId), messages[0]?.channel);
     const enabledRules = rules.filter(r => r.enabled);
     const formatted = messages.map((m, i) => `[${i}] ${m.author?.tag || 'Unknown'}: ${m.content}`).join('\n');
 
     try {
-      const response = await axios.post(this.apiBase, {
+      return await this._completeJson(guildId, {
+        task: 'purge',
         messages: [
           {
             role: 'system',
@@ -277,23 +523,10 @@ Respond with ONLY valid JSON:
           },
           { role: 'user', content: `Analyze these ${messages.length} messages from #${channelName}:\n\n${formatted}` }
         ],
-        model: 'openai',
         jsonMode: true,
-        seed: Math.floor(Math.random() * 100000)
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${ConfigManager.getPollinationsKey()}`
-        },
-        timeout: 45000
-      });
-
-      const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { flaggedIndexes: [], reasons: {}, totalFlagged: 0, summary: 'Could not parse AI response' };
+        timeout: 45000,
+        input: { messages, rules, settings: ConfigManager.getSettings(guildId) }
+      }, (raw) => validatePurge(raw, messages.length));
     } catch (error) {
       logger.error({ error: error.message, context: 'AI purge analysis failed' });
       return { flaggedIndexes: [], reasons: {}, totalFlagged: 0, summary: `Analysis failed: ${error.message}` };
@@ -0,0 +1,169 @@
+const ConfigManager = require('../config/config-manager');
+
+// Jobs that waited longer than this are stale — moderation on them is pointless
+const MAX_WAIT_MS = 2 * 60 * 1000;
+
+// Rolling window for latency averages
+const LATENCY_SAMPLES = 100;
+
+/**
+ * Bounded work queue for AI message analysis.
+ *
+ * - Per-guild FIFO queues served round-robin, so one busy (or raided) server
+ *   can't starve the others
+ * - At most `aiMaxConcurrent` jobs in flight
+ * - When `aiQueueLimit` is reached, `aiQueuePolicy` decides what gets dropped:
+ *     drop_newest — reject the incoming message
+ *     drop_oldest — evict the oldest message from the busiest guild
+ *     sample      — replace a random message from the busiest guild, so the
+ *                   queue holds a random sample of the burst
+ */
+class AnalysisQueue {
+  constructor() {
+    this.queues = new Map(); // guildId -> [{ task, enqueuedAt }]
+    this.order = [];         // round-robin rotation of guild IDs with work
+    this.inFlight = 0;
+    this.processed = 0;
+    this.dropped = 0;
+    this.failed = 0;
+    this.waitTimes = [];
+    this.runTimes = [];
+  }
+
+  _limits() {
+    const settings = ConfigManager.getSettings();
+    return {
+      maxInFlight: Math.max(parseInt(settings.aiMaxConcurrent) || 4, 1),
+      maxQueued: Math.max(parseInt(settings.aiQueueLimit) || 100, 1),
+      policy: settings.aiQueuePolicy || 'drop_oldest'
+    };
+  }
+
+  get depth() {
+    let total = 0;
+    for (const q of this.queues.values()) total += q.length;
+    return total;
+  }
+
+  /**
+   * Queue an async task for a guild. Returns false if it was dropped.
+   */
+  enqueue(guildId, task) {
+    const { maxQueued, policy } = this._limits();
+    const job = { task, enqueuedAt: Date.now() };
+
+    if (this.depth >= maxQueued) {
+      const busiest = this._busiestGuild();
+      if (policy === 'drop_newest' || !busiest) {
+        this.dropped++;
+        return false;
+      }
+      const victims = this.queues.get(busiest);
+      if (policy === 'sample') {
+        victims.splice(Math.floor(Math.random() * victims.length), 1);
+      } else {
+        victims.shift();
+      }
+      this.dropped++;
+      if (victims.length === 0) this._removeGuild(busiest);
+    }
+
+    if (!this.queues.has(guildId)) {
+      this.queues.set(guildId, []);
+      this.order.push(guildId);
+    }
+    this.queues.get(guildId).push(job);
+    this._pump();
+    return true;
+  }
+
+  _busiestGuild() {
+    let busiest = null;
+    let max = 0;
+    for (const [guildId, q] of this.queues) {
+      if (q.length > max) { max = q.length; busiest = guildId; }
+    }
+    return busiest;
+  }
+
+  _removeGuild(guildId) {
+    this.queues.delete(guildId);
+    this.order = this.order.filter(id => id !== guildId);
+  }
+
+  _dequeue() {
+    while (this.order.length > 0) {
+      const guildId = this.order.shift();
+      const q = this.queues.get(guildId);
+      const job = q.shift();
+      if (q.length > 0) this.order.push(guildId);
+      else this.queues.delete(guildId);
+
+      if (Date.now() - job.enqueuedAt > MAX_WAIT_MS) {
+        this.dropped++;
+        continue;
+      }
+      return job;
+    }
+    return null;
+  }
+
+  _pump() {
+    const { maxInFlight } = this._limits();
+    while (this.inFlight < maxInFlight) {
+      const job = this._dequeue();
+      if (!job) return;
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this.inFlight++;
+    const startedAt = Date.now();
+    this._sample(this.waitTimes, startedAt - job.enqueuedAt);
+    try {
+      await job.task();
+      this.processed++;
+    } catch (e) {
+      this.failed++;
+    } finally {
+      this._sample(this.runTimes, Date.now() - startedAt);
+      this.inFlight--;
+      this._pump();
+    }
+  }
+
+  _sample(arr, value) {
+    arr.push(value);
+    if (arr.length > LATENCY_SAMPLES) arr.shift();
+  }
+
+  /**
+   * Drop everything still waiting (in-flight jobs are left to finish)
+   */
+  clear() {
+    this.dropped += this.depth;
+    this.queues.clear();
+    this.order = [];
+  }
+
+  getStats() {
+    const avg = arr => arr.length ? Math.round(arr.reduce((a, b) => a + b, 0) / arr.length) : 0;
+    const { maxInFlight, maxQueued, policy } = this._limits();
+    return {
+      depth: this.depth,
+      inFlight: this.inFlight,
+      maxInFlight,
+      maxQueued,
+      policy,
+      processed: this.processed,
+      dropped: this.dropped,
+      failed: this.failed,
+      avgWaitMs: avg(this.waitTimes),
+      avgRunMs: avg(this.runTimes),
+      byGuild: Object.fromEntries([...this.queues].map(([id, q]) => [id, q.length]))
+    };
+  }
+}
+
+module.exports = new AnalysisQueue();
@@ -0,0 +1,173 @@
+const { readJson, writeJson } = require('../utils/json-store');
+
+const BAN_REQUESTS_FILE = 'ban-requests.json';
+
+const STATUSES = ['pending', 'approved', 'denied', 'expired'];
+
+const VOTES = ['approve', 'deny'];
+
+// Offenders who can't be kicked are timed out for this long while the
+// request is reviewed; once it runs out there's nothing left to decide
+const REVIEW_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Keep at most this many decided requests (pending ones are never dropped)
+const MAX_RESOLVED = 500;
+
+/**
+ * Persistent queue of ban requests awaiting a human decision. Each request
+ * keeps the evidence shown to reviewers, every Discord message it was
+ * posted in (`messages: [{ channelId, messageId }]`) so those can be updated
+ * once it's decided, and reviewer votes (`votes: [{ vote, moderator, timestamp }]`).
+ * A request is decided once `approvalsRequired` reviewers vote the same way.
+ */
+class BanRequests {
+  constructor() {
+    this.requests = readJson(BAN_REQUESTS_FILE, []);
+  }
+
+  _save() {
+    writeJson(BAN_REQUESTS_FILE, this.requests);
+  }
+
+  /**
+   * Record a new pending request
+   * @param {{ logId, userId, username, guildId, guildName, channelId, channelName, messageContent,
+   *   reason, ruleId, violations, confidence, kicked, approvalsRequired, expiresAt }} data
+   *   `logId` is the request_ban mod_action entry, which gets the votes and decision too;
+   *   `expiresAt` is when an undecided request is denied automatically (null = never)
+   */
+  create(data) {
+    const request = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      status: 'pending',
+      logId: data.logId || null,
+      userId: data.userId,
+      username: data.username,
+      guildId: data.guildId,
+      guildName: data.guildName,
+      channelId: data.channelId,
+      channelName: data.channelName,
+      messageContent: data.messageContent,
+      reason: data.reason,
+      ruleId: data.ruleId || null,
+      violations: data.violations || [],
+      confidence: data.confidence,
+      kicked: data.kicked === true,
+      delivered: false,
+      messages: [],
+      approvalsRequired: Math.max(parseInt(data.approvalsRequired) || 1, 1),
+      votes: [],
+      createdAt: new Date().toISOString(),
+      expiresAt: data.expiresAt || null,
+      resolvedAt: null,
+      resolvedBy: null,
+      note: null
+    };
+
+    this.requests.push(request);
+    this._save();
+    return request;
+  }
+
+  get(id) {
+    return this.requests.find(r => r.id === id) || null;
+  }
+
+  /**
+   * The pending request for a member, if any (ban buttons posted before
+   * requests had IDs only carry the user and guild)
+   */
+  findPending(userId, guildId) {
+    return this.requests.find(r => r.status === 'pending' && r.userId === userId && r.guildId === guildId) || null;
+  }
+
+  /**
+   * Requests newest first, optionally filtered by status and guild
+   */
+  list(options = {}) {
+    return this.requests
+      .filter(r => !options.status || r.status === options.status)
+      .filter(r => !options.guildId || r.guildId === options.guildId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Pending requests whose `expiresAt` or review window has passed. They're
+   * closed by the bot (see ModBot#resolveBanRequest) so the offender's
+   * timeout, the posted embeds and the logs are updated too.
+   */
+  listDue(now = Date.now()) {
+    return this.requests.filter(r => r.status === 'pending' && (
+      (r.expiresAt && new Date(r.expiresAt).getTime() <= now) ||
+      now - new Date(r.createdAt).getTime() >= REVIEW_WINDOW_MS
+    ));
+  }
+
+  /**
+   * Record a reviewer's vote, replacing any earlier vote of theirs. Returns
+   * the updated request, or null if it doesn't exist or was already decided.
+   * @param {'approve'|'deny'} vote
+   */
+  vote(id, moderator, vote) {
+    if (!VOTES.includes(vote)) throw new Error(`Invalid ban request vote: ${vote}`);
+    const request = this.requests.find(r => r.id === id);
+    if (!request || request.status !== 'pending') return null;
+
+    const voter = v => v.moderator.id || v.moderator.tag;
+    request.votes = (request.votes || []).filter(v => voter(v) !== voter({ moderator }));
+    request.votes.push({ vote, moderator, timestamp: new Date().toISOString() });
+    this._save();
+    return request;
+  }
+
+  tally(request) {
+    return {
+      approve: (request.votes || []).filter(v => v.vote === 'approve').length,
+      deny: (request.votes || []).filter(v => v.vote === 'deny').length
+    };
+  }
+
+  /**
+   * Remember a Discord message the request was posted in
+   */
+  addMessage(id, channelId, messageId) {
+    const request = this.requests.find(r => r.id === id);
+    if (!request) return null;
+    request.messages.push({ channelId, messageId });
+    request.delivered = true;
+    this._save();
+    return request;
+  }
+
+  /**
+   * Decide a pending request. Returns the updated request, or null if it
+   * doesn't exist or was already decided.
+   * @param {'approved'|'denied'|'expired'} status
+   * @param {{ moderator?: { type: 'ai'|'human', id?: string, tag?: string }, note?: string }} [details]
+   */
+  resolve(id, status, details = {}) {
+    if (!STATUSES.includes(status) || status === 'pending') throw new Error(`Invalid ban request status: ${status}`);
+    const request = this.requests.find(r => r.id === id);
+    if (!request || request.status !== 'pending') return null;
+
+    request.status = status;
+    request.resolvedAt = new Date().toISOString();
+    request.resolvedBy = details.moderator || null;
+    request.note = details.note || null;
+
+    this._prune();
+    this._save();
+    return request;
+  }
+
+  _prune() {
+    const resolved = this.requests.filter(r => r.status !== 'pending');
+    if (resolved.length <= MAX_RESOLVED) return;
+    const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED));
+    this.requests = this.requests.filter(r => !drop.has(r));
+  }
+}
+
+module.exports = new BanRequests();
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,125 @@
+const ConfigManager = require('../config/config-manager');
+const logger = require('../utils/logger');
+const warningLedger = require('./warning-ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Picks the next step of a rule's escalation ladder for a user, based on how
+ * many times they've already been actioned for that rule (or, with
+ * `escalationScope: 'severity'`, for any rule of the same severity).
+ * Warnings count for as long as the warning ledger keeps them active
+ * (`warningDecayDays`), the same as /status and /infractions; manual warnings
+ * aren't tied to a rule and count towards every ladder. Other actions count
+ * within the `escalationWindowDays` window.
+ *
+ * Past actions are kept in an in-memory index per guild and user, read from
+ * the log files once and then kept current from the logger, so deciding an
+ * action never touches the disk.
+ */
+class Escalation {
+  constructor() {
+    this.index = null;
+    this.indexedDays = 0;
+
+    logger.onLog(entry => {
+      if (this.index && (entry.type === 'mod_action' || entry.type === 'would_action')) this._addToIndex(entry);
+    });
+    // Feedback and reverts are written onto existing entries
+    logger.onUpdate((entry, fields) => {
+      const indexed = this.index?.get(this._indexKey(entry))?.find(l => l.id === entry.id);
+      if (indexed) Object.assign(indexed, fields);
+    });
+  }
+
+  _windowDays(guildId) {
+    const days = Number(ConfigManager.getSettings(guildId).escalationWindowDays);
+    return days > 0 ? days : 30;
+  }
+
+  _indexKey(entry) {
+    return `${entry.guildId}:${entry.userId}`;
+  }
+
+  _addToIndex(entry) {
+    if (!entry.userId) return;
+    const key = this._indexKey(entry);
+    if (!this.index.has(key)) this.index.set(key, []);
+    this.index.get(key).push(entry);
+  }
+
+  // (Re)build the index when a guild's window reaches further back than it does
+  _ensureIndex(days) {
+    if (this.index && days <= this.indexedDays) return;
+    this.index = new Map();
+    this.indexedDays = days;
+    logger.getPersistedLogs(['mod_action', 'would_action'], days).forEach(entry => this._addToIndex(entry));
+  }
+
+  _userEntries(guildId, userId, since) {
+    const entries = this.index.get(`${guildId}:${userId}`) || [];
+    // Drop what has aged out of every window so the index doesn't grow forever
+    const cutoff = Date.now() - this.indexedDays * DAY_MS;
+    while (entries.length && new Date(entries[0].timestamp).getTime() < cutoff) entries.shift();
+    return entries.filter(l => new Date(l.timestamp).getTime() >= since);
+  }
+
+  /**
+   * Prior offences that count towards this rule's ladder. One offence can be
+   * logged as several actions (a kick before a ban request, then the approved
+   * ban), so entries about the same message count once. In dry-run mode
+   * earlier would-be actions count too, so the simulated ladder climbs the
+   * way the real one would. Offences a moderator marked as false positives
+   * or reverted don't count, and neither do the reverts themselves. Active
+   * warnings come from the ledger (see the class comment).
+   */
+  countPrior(guildId, userId, rule, options = {}) {
+    const days = this._windowDays(guildId);
+    this._ensureIndex(days);
+    const bySeverity = rule.escalationScope === 'severity';
+    const rules = ConfigManager.getRules(guildId);
+
+    // An offence whose action was undone or disowned doesn't count, even if
+    // other entries for the same message weren't touched
+    const offences = new Set();
+    const dropped = new Set();
+    this._userEntries(guildId, userId, Date.now() - days * DAY_MS)
+      .filter(l => l.type === 'mod_action' || (options.dryRun && l.type === 'would_action'))
+      // Warnings are counted from the ledger below
+      .filter(l => !l.revertOf && !l.warningId)
+      .filter(l => {
+        const ids = l.violations?.length ? l.violations : [l.ruleId];
+        if (!bySeverity) return ids.includes(rule.id);
+        return ids.some(id => {
+          const loggedRule = rules.find(r => r.id === id);
+          return (loggedRule ? loggedRule.severity : l.severity) === rule.severity;
+        });
+      })
+      .forEach(l => {
+        const undone = l.feedback?.verdict === 'false_positive' || l.reverted;
+        (undone ? dropped : offences).add(l.messageId || l.id);
+      });
+
+    // Reverted and false-positive warnings are already gone from the ledger
+    const warnings = warningLedger.getActive(guildId, userId).filter(w => {
+      if (!w.ruleId) return true;
+      if (!bySeverity) return w.ruleId === rule.id;
+      return rules.find(r => r.id === w.ruleId)?.severity === rule.severity;
+    });
+
+    return [...offences].filter(key => !dropped.has(key)).length + warnings.length;
+  }
+
+  /**
+   * Resolve the action to take for this offence
+   * @returns {{ action, duration, step, of, priorCount }}
+   */
+  resolve(guildId, userId, rule, options = {}) {
+    const ladder = ConfigManager.getEscalation(rule, guildId);
+    const priorCount = this.countPrior(guildId, userId, rule, options);
+    const index = Math.min(priorCount, ladder.length - 1);
+    return { ...ladder[index], step: index + 1, of: ladder.length, priorCount };
+  }
+}
+
+module.exports = new Escalation();
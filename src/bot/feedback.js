@@ -0,0 +1,173 @@
+const logger = require('../utils/logger');
+const ConfigManager = require('../config/config-manager');
+const regressionSuite = require('./regression-suite');
+
+const VERDICTS = ['false_positive', 'missed_violation'];
+
+// Entries that record an AI decision a moderator can disagree with
+const FEEDBACK_TYPES = ['ai_analysis', 'mod_action', 'would_action'];
+
+// An action logged this soon after an analysis of the same message is
+// treated as the result of that analysis
+const ACTION_MATCH_WINDOW_MS = 2 * 60 * 1000;
+
+/**
+ * Moderator feedback on AI decisions. Feedback is stored on the log entry
+ * itself as `feedback: { verdict, ruleIds, moderator, note, timestamp }`:
+ *
+ *   false_positive   — the message was flagged but broke no rule
+ *   missed_violation — the message broke `ruleIds`, which the AI didn't
+ *                      report (it may have flagged it for other rules)
+ */
+class Feedback {
+  /**
+   * Check feedback before it's recorded. Returns a list of problems (empty
+   * if the feedback is fine).
+   */
+  validate(entry, feedback) {
+    if (!FEEDBACK_TYPES.includes(entry.type)) return ['Feedback can only be given on AI analyses and moderation actions'];
+    if (!feedback || !VERDICTS.includes(feedback.verdict)) return [`Verdict must be one of: ${VERDICTS.join(', ')}`];
+
+    const errors = [];
+    const flagged = entry.type !== 'ai_analysis' || entry.flagged;
+    if (feedback.verdict === 'false_positive' && !flagged) {
+      errors.push('Only flagged messages can be marked as false positives');
+    }
+    if (feedback.verdict === 'missed_violation') {
+      const ruleIds = feedback.ruleIds;
+      if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+        errors.push('Say which rule(s) the message broke');
+      } else {
+        const known = new Set(ConfigManager.getRules(entry.guildId).map(r => r.id));
+        const unknown = ruleIds.filter(id => !known.has(id));
+        if (unknown.length > 0) errors.push(`Unknown rule ID(s): ${unknown.join(', ')}`);
+        const reported = flagged ? ruleIds.filter(id => (entry.violations || []).includes(id)) : [];
+        if (reported.length > 0) errors.push(`Already flagged for: ${reported.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Store feedback on an entry, and on the action it led to (if any) so the
+   * action stops counting towards escalation. Call validate first.
+   * @param {object} [related] - relatedAction(entry), if already looked up
+   * @returns {{ entry, action }} the updated entry and related action entry
+   */
+  record(entry, feedback, related = this.relatedAction(entry)) {
+    const stored = {
+      verdict: feedback.verdict,
+      ruleIds: feedback.verdict === 'missed_violation' ? [...new Set(feedback.ruleIds)] : [],
+      moderator: feedback.moderator || { type: 'human' },
+      note: feedback.note ? String(feedback.note).substring(0, 500) : null,
+      timestamp: new Date().toISOString()
+    };
+
+    const updated = logger.update(entry.id, { feedback: stored });
+    const action = !related ? null : related.id === entry.id ? updated : logger.update(related.id, { feedback: stored });
+    return { entry: updated, action };
+  }
+
+  /**
+   * The mod_action/would_action an entry led to: the entry itself for
+   * actions, otherwise the first action on the same message shortly after
+   * the analysis
+   */
+  relatedAction(entry) {
+    if (entry.type !== 'ai_analysis') return entry;
+    if (!entry.flagged) return null;
+
+    const start = new Date(entry.timestamp).getTime();
+    return logger.getUserHistory(entry.userId, { guildId: entry.guildId, days: 2, includeDryRun: true })
+      .reverse()
+      .find(l => (l.type === 'mod_action' || l.type === 'would_action') &&
+        l.messageContent === entry.messageContent &&
+        new Date(l.timestamp).getTime() >= start &&
+        new Date(l.timestamp).getTime() - start <= ACTION_MATCH_WINDOW_MS) || null;
+  }
+
+  // The same message can have feedback on both its analysis and its action
+  _messageKey(entry) {
+    return `${entry.guildId}:${entry.userId}:${entry.messageContent}`;
+  }
+
+  /**
+   * Entries with feedback, one per message, newest first
+   */
+  getReviewed(days = 30) {
+    const seen = new Set();
+    return logger.getPersistedLogs(FEEDBACK_TYPES, days)
+      .filter(l => l.feedback)
+      .reverse()
+      .filter(l => {
+        const key = this._messageKey(l);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Per-rule accuracy according to moderator feedback. `flags` is how often
+   * the AI flagged the rule; accuracy is the share of flags that weren't
+   * false positives, counting missed violations against it too.
+   */
+  getStats(days = 30) {
+    const byRule = {};
+    const tally = id => (byRule[id] = byRule[id] || { flags: 0, falsePositives: 0, missed: 0 });
+
+    for (const l of logger.getPersistedLogs(['ai_analysis'], days)) {
+      if (l.flagged) (l.violations || []).forEach(id => tally(id).flags++);
+    }
+
+    const reviewed = this.getReviewed(days);
+    for (const l of reviewed) {
+      if (l.feedback.verdict === 'false_positive') (l.violations || []).forEach(id => tally(id).falsePositives++);
+      else l.feedback.ruleIds.forEach(id => tally(id).missed++);
+    }
+
+    for (const counts of Object.values(byRule)) {
+      const correct = Math.max(counts.flags - counts.falsePositives, 0);
+      const total = counts.flags + counts.missed;
+      counts.accuracy = total > 0 ? correct / total : null;
+    }
+
+    return { days, reviewed: reviewed.length, byRule };
+  }
+
+  /**
+   * Reviewed messages as labeled corpus examples
+   */
+  toExamples(days = 90) {
+    return this.getReviewed(days)
+      .filter(l => l.messageContent)
+      .map(l => ({
+        id: `fb-${l.id}`,
+        content: l.messageContent,
+        labels: l.feedback.verdict === 'missed_violation' ? [...new Set([...(l.violations || []), ...l.feedback.ruleIds])] : [],
+        note: `Moderator feedback (${l.feedback.verdict.replace('_', ' ')})${l.feedback.note ? `: ${l.feedback.note}` : ''}`
+      }));
+  }
+
+  /**
+   * Add reviewed messages to the regression corpus, skipping ones already in it
+   * @returns {{ added: number, skipped: number }}
+   */
+  exportToCorpus(days = 90) {
+    const existing = new Set(regressionSuite.getExamples().map(e => e.content.trim()));
+    let added = 0;
+    let skipped = 0;
+    for (const example of this.toExamples(days)) {
+      if (existing.has(example.content.trim()) || regressionSuite.validateExample(example).length > 0) {
+        skipped++;
+        continue;
+      }
+      regressionSuite.addExample(example);
+      existing.add(example.content.trim());
+      added++;
+    }
+    return { added, skipped };
+  }
+}
+
+module.exports = new Feedback();
@@ -0,0 +1,32 @@
+const logger = require('../utils/logger');
+const warningLedger = require('./warning-ledger');
+
+/**
+ * Build a member's infraction history from the logger + warning ledger.
+ * Shared by the /infractions command and the dashboard user profile.
+ */
+function getInfractions(userId, guildId) {
+  const history = logger.getUserHistory(userId, { guildId });
+  // Undone actions stay in the history but not in the counts
+  const actions = history.filter(l => l.type === 'mod_action' && !l.reverted);
+
+  const countAction = (name) => actions.filter(a => a.action === name).length;
+
+  return {
+    userId,
+    guildId: guildId || null,
+    username: history.find(l => l.username)?.username || null,
+    counts: {
+      warns: countAction('warn'),
+      timeouts: countAction('timeout'),
+      kicks: countAction('kick'),
+      banRequests: countAction('request_ban'),
+      bans: countAction('ban'),
+      aiFlags: history.filter(l => l.type === 'ai_analysis').length
+    },
+    activeWarnings: guildId ? warningLedger.getActive(guildId, userId) : warningLedger.getActiveForUser(userId),
+    history
+  };
+}
+
+module.exports = { getInfractions };
@@ -0,0 +1,54 @@
+const ConfigManager = require('../config/config-manager');
+
+/**
+ * Collects messages per channel for a short window so they can be classified
+ * in one AI request. Disabled when `aiBatchWindowMs` is 0.
+ */
+class MessageBatcher {
+  constructor() {
+    this.pending = new Map(); // channelId -> { messages, timer, onFlush }
+  }
+
+  isEnabled(guildId) {
+    return (parseInt(ConfigManager.getSettings(guildId).aiBatchWindowMs) || 0) > 0;
+  }
+
+  /**
+   * Add a message; `onFlush(messages)` is called once the channel's window
+   * closes or the batch reaches `aiBatchMaxSize`
+   */
+  add(message, onFlush) {
+    const settings = ConfigManager.getSettings(message.guild?.id);
+    const windowMs = parseInt(settings.aiBatchWindowMs) || 0;
+    const maxSize = Math.max(parseInt(settings.aiBatchMaxSize) || 10, 1);
+    const channelId = message.channel.id;
+
+    let batch = this.pending.get(channelId);
+    if (!batch) {
+      batch = { messages: [], timer: null, onFlush };
+      batch.timer = setTimeout(() => this.flush(channelId), windowMs);
+      this.pending.set(channelId, batch);
+    }
+
+    batch.messages.push(message);
+    if (batch.messages.length >= maxSize) this.flush(channelId);
+  }
+
+  flush(channelId) {
+    const batch = this.pending.get(channelId);
+    if (!batch) return;
+    clearTimeout(batch.timer);
+    this.pending.delete(channelId);
+    batch.onFlush(batch.messages);
+  }
+
+  /**
+   * Discard everything still waiting (used on shutdown)
+   */
+  clear() {
+    for (const batch of this.pending.values()) clearTimeout(batch.timer);
+    this.pending.clear();
+  }
+}
+
+module.exports = new MessageBatcher();
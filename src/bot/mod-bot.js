@@ -1,8 +1,43 @@
-const { Client, GatewayIntentBits, Partials, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, SlashCommandBuilder, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, SlashCommandBuilder, REST, Routes } = require('discord.js');
 const aiEngine = require('./ai-engine');
+const preFilter = require('./pre-filter');
+const analysisQueue = require('./analysis-queue');
+const messageBatcher = require('./message-batcher');
+const verdictCache = require('./verdict-cache');
+const warningLedger = require('./warning-ledger');
+const escalation = require('./escalation');
+const feedback = require('./feedback');
+const banRequests = require('./ban-requests');
+const { getInfractions } = require('./infractions');
 const ConfigManager = require('../config/config-manager');
 const logger = require('../utils/logger');
 
+// Most severe rule wins when a message breaks several at once
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Offenders who can't be kicked are timed out this long while their ban
+// request is reviewed (the same as the review window in ban-requests.js)
+const BAN_REVIEW_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How often undecided ban requests are checked against their review window
+const BAN_EXPIRY_CHECK_MS = 60 * 1000;
+
+// How each mod_action is shown in the mod-log channel
+const MOD_LOG_STYLES = {
+  warn: { emoji: '⚠️', color: 0xFFB84D },
+  timeout: { emoji: '🔇', color: 0xFF6B9D },
+  kick: { emoji: '👢', color: 0xFF4757 },
+  ban: { emoji: '🔨', color: 0xFF0000 },
+  request_ban: { emoji: '🚨', color: 0xFF0000 },
+  ai_purge: { emoji: '🧹', color: 0xFF6B9D },
+  unwarn: { emoji: '↩️', color: 0x2ED573 },
+  untimeout: { emoji: '↩️', color: 0x2ED573 },
+  unban: { emoji: '↩️', color: 0x2ED573 }
+};
+
+// Actions _revertAction can undo
+const REVERSIBLE_ACTIONS = ['warn', 'timeout', 'ban'];
+
 class ModBot {
   constructor() {
     this.client = null;
@@ -11,9 +46,13 @@ class ModBot {
     this.messageCount = 0;
     this.actionCount = 0;
     this.startTime = null;
-    this.pendingBans = new Map();
     this.summaries = [];      // Store chat summaries for dashboard
     this.maxSummaries = 50;
+
+    // Every logged action (AI or manual) is mirrored to the guild's mod-log channel
+    logger.onLog((entry) => {
+      if (entry.type === 'mod_action') this._postModLog(entry);
+    });
   }
 
   async start(token) {
@@ -52,6 +91,9 @@ class ModBot {
     if (!this.isRunning || !this.client) return;
 
     try {
+      messageBatcher.clear();
+      analysisQueue.clear();
+      clearInterval(this.banExpiryTimer);
       this.client.destroy();
       this.isRunning = false;
       this.startTime = null;
@@ -76,6 +118,9 @@ class ModBot {
         activities: [{ name: '🛡️ Moderating | ColorGG', type: 3 }]
       });
 
+      this._expireBanRequests();
+      this.banExpiryTimer = setInterval(() => this._expireBanRequests(), BAN_EXPIRY_CHECK_MS);
+
       // Register slash commands
       await this._registerSlashCommands();
     });
@@ -112,7 +157,7 @@ class ModBot {
     this.messageCount++;
     this._emitStatus('message');
 
-    const settings = ConfigManager.getSettings();
+    const settings = ConfigManager.getSettings(message.guild.id);
 
     // Check ignored channels
     if (settings.ignoredChannels && settings.ignoredChannels.includes(message.channel.id)) return;
@@ -128,11 +173,70 @@ class ModBot {
       if (hasTrustedRole) return;
     }
 
-    // AI analysis
+    // Deterministic pre-filter first; only ambiguous messages go to the AI
+    let pre;
+    try {
+      pre = preFilter.check(message);
+    } catch (error) {
+      logger.error({ error: error.message, context: 'Pre-filter failed', stack: error.stack });
+      pre = { verdict: 'escalate' };
+    }
+
+    if (pre.verdict !== 'escalate') {
+      // A raid verdict also covers the raiders who posted before it was clear
+      for (const m of [message, ...(pre.related || [])]) {
+        await this._handlePreFiltered(m, pre.analysis);
+      }
+      return;
+    }
+
+    // Messages with pre-filter signals (a possible raid) are judged on their
+    // own so the AI sees the signal
+    if (pre.signals?.length) {
+      analysisQueue.enqueue(message.guild.id, () => this._analyzeAndAct(message, { signals: pre.signals }));
+      return;
+    }
+
+    // AI analysis goes through the bounded queue (drops are counted in getStatus().queue),
+    // optionally batched per channel so one request covers several messages
+    if (messageBatcher.isEnabled(message.guild.id)) {
+      messageBatcher.add(message, (batch) => {
+        analysisQueue.enqueue(message.guild.id, () => this._analyzeBatchAndAct(batch));
+      });
+    } else {
+      analysisQueue.enqueue(message.guild.id, () => this._analyzeAndAct(message));
+    }
+  }
+
+  async _handlePreFiltered(message, analysis) {
+    logger.aiAnalysis({
+      userId: message.author.id,
+      username: message.author.username,
+      channelId: message.channel.id,
+      channelName: message.channel.name,
+      guildId: message.guild.id,
+      guildName: message.guild.name,
+      messageContent: message.content,
+      flagged: analysis.flagged,
+      violations: analysis.violations,
+      confidence: analysis.confidence,
+      reasoning: analysis.reasoning,
+      source: analysis.source
+    });
+    if (analysis.flagged) {
+      try {
+        await this._takeAction(message, analysis);
+      } catch (error) {
+        logger.error({ error: error.message, context: 'Message handling failed', stack: error.stack });
+      }
+    }
+  }
+
+  async _analyzeAndAct(message, options = {}) {
     try {
-      const analysis = await aiEngine.analyzeMessage(message);
+      const analysis = await aiEngine.analyzeMessage(message, options);
 
-      if (analysis.flagged && analysis.confidence > 0.7) {
+      if (analysis.flagged) {
         await this._takeAction(message, analysis);
       }
     } catch (error) {
@@ -140,27 +244,127 @@ class ModBot {
     }
   }
 
-  async _takeAction(message, analysis) {
-    const settings = ConfigManager.getSettings();
-    const rules = ConfigManager.getRules();
+  async _analyzeBatchAndAct(messages) {
+    try {
+      const results = await aiEngine.analyzeBatch(messages);
+
+      // Actions are still applied per message
+      for (let i = 0; i < messages.length; i++) {
+        const analysis = results[i];
+        if (analysis.flagged) {
+          try {
+            await this._takeAction(messages[i], analysis);
+          } catch (error) {
+            logger.error({ error: error.message, context: 'Message handling failed', stack: error.stack });
+          }
+        }
+      }
+    } catch (error) {
+      logger.error({ error: error.message, context: 'Batch handling failed', stack: error.stack });
+    }
+  }
+
+  /**
+   * Rule playground: run a made-up message through the pre-filter, the AI
+   * and the action decision, without touching Discord
+   */
+  async testMessage(input) {
+    const message = {
+      content: input.content,
+      guild: { id: input.guildId || null, name: 'Playground' },
+      channel: { id: input.channelId || 'playground', name: input.channelName || 'playground', parentId: input.categoryId || null },
+      author: { id: input.authorId || '0', username: input.authorName || 'PlaygroundUser' },
+      member: { roles: { cache: new Map((input.roleIds || []).map(id => [id, { id }])) } }
+    };
+
+    const preFiltered = preFilter.inspectMessage(message);
+    let ai = null;
+    let analysis = preFiltered.analysis;
+    if (preFiltered.verdict === 'escalate') {
+      ai = await aiEngine.testMessage(message, input.context || []);
+      analysis = ai.verdict;
+    }
+
+    const decision = analysis.flagged ? this._decideAction(message.guild.id, message.author.id, analysis) : null;
+    return {
+      preFilter: preFiltered.verdict,
+      ai,
+      verdict: analysis,
+      decision: decision && {
+        action: decision.action,
+        duration: decision.duration,
+        ruleId: decision.primaryViolation || null,
+        violations: decision.analysis.violations,
+        escalation: decision.analysis.escalation || null,
+        dryRun: !!decision.dryRun
+      }
+    };
+  }
+
+  /**
+   * Work out what to do about a flagged analysis without doing any of it.
+   * Returns null when no violation clears its rule's confidence threshold.
+   */
+  _decideAction(guildId, userId, analysis) {
+    const settings = ConfigManager.getSettings(guildId);
+    const rules = ConfigManager.getRules(guildId);
     let action = analysis.suggestedAction;
     let duration = analysis.suggestedDuration;
 
+    // Only act on violations that clear their rule's confidence threshold,
+    // most severe (then most confident) first
+    const confidenceFor = id => analysis.ruleConfidence?.[id] ?? analysis.confidence;
+    const violations = analysis.violations
+      .filter(id => {
+        const r = rules.find(rule => rule.id === id);
+        return !r || aiEngine.meetsThreshold(analysis, r, guildId);
+      })
+      .sort((a, b) => {
+        const severityOf = id => SEVERITY_RANK[rules.find(r => r.id === id)?.severity] || 0;
+        return (severityOf(b) - severityOf(a)) || (confidenceFor(b) - confidenceFor(a));
+      });
+    if (analysis.violations.length > 0 && violations.length === 0) return null;
+    analysis = { ...analysis, violations };
+
+    // Dry-run rules never enforce anything; they only decide the outcome when
+    // no live rule was broken. A dry-run guild never enforces at all.
+    const liveViolations = violations.filter(id => !rules.find(r => r.id === id)?.dryRun);
+    const dryRun = settings.dryRun ? 'guild' : (violations.length > 0 && liveViolations.length === 0 ? 'rule' : null);
+
     // Get rule config for the primary violation
-    const primaryViolation = analysis.violations[0];
+    const primaryViolation = dryRun ? violations[0] : liveViolations[0];
     const rule = primaryViolation ? rules.find(r => r.id === primaryViolation) : null;
+
+    // Walk the rule's escalation ladder based on the user's prior infractions
     if (rule) {
-      action = rule.action;
-      if (rule.timeoutDuration) duration = rule.timeoutDuration;
+      const step = escalation.resolve(guildId, userId, rule, { dryRun: !!dryRun });
+      action = step.action;
+      duration = step.duration;
+      analysis = { ...analysis, escalation: { step: step.step, of: step.of } };
     }
 
-    // Warning tracking
-    const warningCount = aiEngine.getWarningCount(message.author.id);
-    const maxWarnings = settings.warningsBeforeAction || 2;
+    return { analysis, primaryViolation, rule, action, duration, dryRun };
+  }
+
+  async _takeAction(message, analysis) {
+    const settings = ConfigManager.getSettings(message.guild.id);
+    const decision = this._decideAction(message.guild.id, message.author.id, analysis);
+    if (!decision) return;
 
-    // If action is warn and under threshold, just warn
-    if (action === 'warn' || (action === 'timeout' && warningCount < maxWarnings)) {
-      aiEngine.addWarning(message.author.id);
+    const { primaryViolation, rule, action, duration, dryRun } = decision;
+    analysis = decision.analysis;
+
+    if (dryRun) {
+      await this._logWouldAction(message, analysis, { action, duration, rule, dryRun });
+      return;
+    }
+
+    if (action === 'warn') {
+      const warning = warningLedger.add(message.guild.id, message.author.id, {
+        ruleId: primaryViolation,
+        reason: analysis.reasoning,
+        moderator: { type: 'ai' }
+      });
 
       if (analysis.replyMessage) {
         try {
@@ -179,11 +383,15 @@ class ModBot {
         channelName: message.channel.name,
         guildId: message.guild.id,
         guildName: message.guild.name,
+        messageId: message.id,
         messageContent: message.content,
         reason: analysis.reasoning,
         ruleId: primaryViolation,
+        violations: analysis.violations,
         severity: rule?.severity || 'low',
-        aiConfidence: analysis.confidence
+        aiConfidence: analysis.confidence,
+        escalation: analysis.escalation,
+        warningId: warning.id
       });
 
       this.actionCount++;
@@ -243,6 +451,63 @@ class ModBot {
     this._emitStatus('action');
   }
 
+  /**
+   * Dry-run outcome: record the full decision and optionally show it to
+   * staff, without touching the message or the member
+   */
+  async _logWouldAction(message, analysis, { action, duration, rule, dryRun }) {
+    const settings = ConfigManager.getSettings(message.guild.id);
+
+    const entry = logger.wouldAction({
+      action,
+      userId: message.author.id,
+      username: message.author.tag,
+      channelId: message.channel.id,
+      channelName: message.channel.name,
+      guildId: message.guild.id,
+      guildName: message.guild.name,
+      messageContent: message.content,
+      reason: analysis.reasoning,
+      ruleId: rule?.id || analysis.violations[0],
+      violations: analysis.violations,
+      severity: rule?.severity || 'low',
+      aiConfidence: analysis.confidence,
+      ruleConfidence: analysis.ruleConfidence,
+      duration: action === 'timeout' ? duration : null,
+      escalation: analysis.escalation,
+      dryRun
+    });
+
+    if (!settings.dryRunChannelId) return;
+    try {
+      const channel = await message.guild.channels.fetch(settings.dryRunChannelId);
+      const embed = new EmbedBuilder()
+        .setTitle(`🧪 Dry Run — would ${action.replace('_', ' ').toUpperCase()}`)
+        .setColor(action === 'request_ban' ? 0xFF0000 : action === 'kick' ? 0xFF8800 : 0xFFCC00)
+        .addFields(
+          { name: 'User', value: `${message.author.tag} (<@${message.author.id}>)`, inline: true },
+          { name: 'Channel', value: `<#${message.channel.id}>`, inline: true },
+          { name: 'Rule', value: analysis.violations.join(', ') || 'none', inline: true },
+          { name: 'Confidence', value: `${Math.round((analysis.confidence || 0) * 100)}%`, inline: true },
+          { name: 'Message', value: (message.content || '(no text)').substring(0, 1000), inline: false },
+          { name: 'Reason', value: (analysis.reasoning || 'No reasoning provided').substring(0, 1000), inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: `ColorGG Dry Run (${dryRun === 'guild' ? 'server-wide' : `rule: ${rule?.id}`})` });
+
+      if (action === 'timeout' && duration > 0) {
+        embed.addFields({ name: 'Duration', value: `${Math.floor(duration / 60)} minutes`, inline: true });
+      }
+      if (analysis.escalation) {
+        embed.addFields({ name: 'Escalation', value: `Step ${analysis.escalation.step} of ${analysis.escalation.of}`, inline: true });
+      }
+
+      await channel.send({ embeds: [embed], components: [this._feedbackRow(entry.id)] });
+    } catch (e) {
+      logger.error({ error: e.message, context: 'Failed to post dry-run notice' });
+    }
+  }
+
   async _timeoutUser(message, analysis, duration, rule) {
     try {
       const member = message.member || await message.guild.members.fetch(message.author.id);
@@ -264,12 +529,15 @@ class ModBot {
         channelName: message.channel.name,
         guildId: message.guild.id,
         guildName: message.guild.name,
+        messageId: message.id,
         messageContent: message.content,
         reason: analysis.reasoning,
-        ruleId: analysis.violations[0],
+        ruleId: rule?.id || analysis.violations[0],
+        violations: analysis.violations,
         severity: rule?.severity || 'medium',
         aiConfidence: analysis.confidence,
-        duration
+        duration,
+        escalation: analysis.escalation
       });
     } catch (error) {
       logger.error({ error: error.message, context: 'Timeout failed' });
@@ -296,11 +564,14 @@ class ModBot {
           channelName: message.channel.name,
           guildId: message.guild.id,
           guildName: message.guild.name,
+          messageId: message.id,
           messageContent: message.content,
           reason: analysis.reasoning,
-          ruleId: analysis.violations[0],
+          ruleId: rule?.id || analysis.violations[0],
+          violations: analysis.violations,
           severity: rule?.severity || 'high',
-          aiConfidence: analysis.confidence
+          aiConfidence: analysis.confidence,
+          escalation: analysis.escalation
         });
       }
     } catch (error) {
@@ -309,8 +580,7 @@ class ModBot {
   }
 
   async _requestBan(message, analysis, rule) {
-    const settings = ConfigManager.getSettings();
-    const banRequestUser = settings.banRequestUser || 'devloafyt';
+    const settings = ConfigManager.getSettings(message.guild.id);
     const guild = message.guild;
 
     // ── STEP 1: KICK THEM FIRST ──────────────────────────────────
@@ -329,9 +599,11 @@ class ModBot {
           channelName: message.channel.name,
           guildId: guild.id,
           guildName: guild.name,
+          messageId: message.id,
           messageContent: message.content,
           reason: `[Auto-kick before ban request] ${analysis.reasoning}`,
-          ruleId: analysis.violations[0],
+          ruleId: rule?.id || analysis.violations[0],
+          violations: analysis.violations,
           severity: 'critical',
           aiConfidence: analysis.confidence
         });
@@ -344,140 +616,115 @@ class ModBot {
       } else {
         // Can't kick — at least timeout them
         try {
-          await member.timeout(7 * 24 * 60 * 60 * 1000, `[ColorGG] Pending ban review: ${analysis.reasoning}`);
+          await member.timeout(BAN_REVIEW_TIMEOUT_MS, `[ColorGG] Pending ban review: ${analysis.reasoning}`);
+          logger.modAction({
+            action: 'timeout',
+            userId: message.author.id,
+            username: message.author.tag,
+            channelId: message.channel.id,
+            channelName: message.channel.name,
+            guildId: guild.id,
+            guildName: guild.name,
+            messageId: message.id,
+            messageContent: message.content,
+            reason: `[Timeout while a ban request is reviewed] ${analysis.reasoning}`,
+            ruleId: rule?.id || analysis.violations[0],
+            violations: analysis.violations,
+            severity: 'critical',
+            aiConfidence: analysis.confidence,
+            duration: BAN_REVIEW_TIMEOUT_MS / 1000
+          });
         } catch (e) {}
       }
     } catch (e) {
       logger.error({ error: e.message, context: 'Failed to kick user before ban request' });
     }
 
-    // ── STEP 2: FIND DEVLOAFYT ───────────────────────────────────
+    // ── STEP 2: FIND THE REVIEWERS ───────────────────────────────
     try {
-      let admin = null;
-      let adminUserId = null;
-
-      const matchesName = (m) => {
-        const u = m.user || m;
-        return (
-          u.username?.toLowerCase() === banRequestUser.toLowerCase() ||
-          u.displayName?.toLowerCase() === banRequestUser.toLowerCase() ||
-          u.globalName?.toLowerCase() === banRequestUser.toLowerCase()
-        );
-      };
+      const reviewers = await this._findBanReviewers(guild, settings);
+      const mentions = reviewers.mentions.join(' ');
 
-      // Search current guild
-      try {
-        const guildMembers = await guild.members.fetch();
-        admin = guildMembers.find(matchesName);
-      } catch (e) {
-        logger.error({ error: e.message, context: 'Failed to fetch guild members for ban request' });
-      }
-
-      // Search all other guilds
-      if (!admin) {
-        for (const [, g] of this.client.guilds.cache) {
-          if (g.id === guild.id) continue;
-          try {
-            const members = await g.members.fetch();
-            const found = members.find(matchesName);
-            if (found) { admin = found; break; }
-          } catch (e) { /* skip */ }
-        }
-      }
-
-      // Search user cache
-      if (!admin) {
-        const foundUser = this.client.users.cache.find(matchesName);
-        if (foundUser) {
-          adminUserId = foundUser.id;
-          admin = { user: foundUser, id: foundUser.id };
-        }
-      }
-
-      if (admin) {
-        adminUserId = admin.id || admin.user?.id;
-      }
+      // ── STEP 3: RECORD THE REQUEST AND BUILD THE EMBED ──────────
+      const logEntry = logger.modAction({
+        action: 'request_ban',
+        userId: message.author.id,
+        username: message.author.tag,
+        channelId: message.channel.id,
+        channelName: message.channel.name,
+        guildId: guild.id,
+        guildName: guild.name,
+        messageId: message.id,
+        messageContent: message.content,
+        reason: analysis.reasoning,
+        ruleId: rule?.id || analysis.violations[0],
+        violations: analysis.violations,
+        severity: 'critical',
+        aiConfidence: analysis.confidence,
+        escalation: analysis.escalation
+      });
 
-      // ── STEP 3: BUILD THE EMBED ─────────────────────────────────
-      const embed = new EmbedBuilder()
-        .setTitle('🚨 BAN REQUEST — ColorGG')
-        .setColor(0xFF0000)
-        .setDescription(`**A critical violation was detected. The user has been ${kicked ? 'KICKED' : 'timed out'} and a ban is recommended.**\n\nPlease review and approve or deny.`)
-        .addFields(
-          { name: '👤 Offender', value: `${message.author.tag}\n\`${message.author.id}\``, inline: true },
-          { name: '🏠 Server', value: guild.name, inline: true },
-          { name: '📍 Channel', value: `#${message.channel.name}`, inline: true },
-          { name: '💬 Message Content', value: `\`\`\`${message.content.substring(0, 900) || 'N/A'}\`\`\``, inline: false },
-          { name: '⚠️ Violation', value: analysis.violations.join(', ') || 'Unknown', inline: true },
-          { name: '📊 Confidence', value: `**${(analysis.confidence * 100).toFixed(1)}%**`, inline: true },
-          { name: '🧠 Reasoning', value: analysis.reasoning, inline: false },
-          { name: '⚔️ Action Taken', value: kicked ? 'User was **kicked** from the server' : 'User was **timed out** (7 days)', inline: false }
-        )
-        .setTimestamp()
-        .setFooter({ text: 'ColorGG AI Moderation — Ban Request' });
-
-      const row = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId(`ban_approve_${message.author.id}_${guild.id}`)
-          .setLabel('Approve Ban')
-          .setEmoji('✅')
-          .setStyle(ButtonStyle.Danger),
-        new ButtonBuilder()
-          .setCustomId(`ban_deny_${message.author.id}_${guild.id}`)
-          .setLabel('Deny')
-          .setEmoji('❌')
-          .setStyle(ButtonStyle.Secondary)
-      );
+      const request = banRequests.create({
+        logId: logEntry.id,
+        userId: message.author.id,
+        username: message.author.tag,
+        guildId: guild.id,
+        guildName: guild.name,
+        channelId: message.channel.id,
+        channelName: message.channel.name,
+        messageContent: message.content,
+        reason: analysis.reasoning,
+        ruleId: rule?.id || analysis.violations[0],
+        violations: analysis.violations,
+        confidence: analysis.confidence,
+        kicked,
+        approvalsRequired: settings.banApprovalsRequired,
+        expiresAt: settings.banReviewExpiryHours > 0
+          ? new Date(Date.now() + settings.banReviewExpiryHours * 60 * 60 * 1000).toISOString()
+          : null
+      });
+      const payload = this._banRequestPayload(request);
 
       // ── STEP 4: DELIVER BAN REQUEST (multi-fallback) ────────────
       let delivered = false;
+      const send = async (channel, content) => {
+        const sent = await channel.send({ ...(content && { content }), ...payload });
+        banRequests.addMessage(request.id, sent.channelId, sent.id);
+        delivered = true;
+      };
 
-      // Attempt 1: DM the admin directly
-      if (admin) {
-        try {
-          const userObj = admin.user || admin;
-          const dm = await userObj.createDM();
-          await dm.send({ embeds: [embed], components: [row] });
-          delivered = true;
-          logger.botEvent({ event: 'ban_request_dm_sent', details: `Ban request DM sent to ${banRequestUser} for ${message.author.tag}` });
-        } catch (e) {
-          logger.botEvent({ event: 'ban_request_dm_failed', details: `Could not DM ${banRequestUser}: ${e.message} — trying channel fallbacks` });
+      const dmReviewers = async () => {
+        for (const user of reviewers.users) {
+          try {
+            await send(await user.createDM());
+            logger.botEvent({ event: 'ban_request_dm_sent', details: `Ban request DM sent to ${user.tag} for ${message.author.tag}` });
+          } catch (e) {
+            logger.botEvent({ event: 'ban_request_dm_failed', details: `Could not DM ${user.tag}: ${e.message}` });
+          }
         }
-      }
-
-      // Attempt 2: Find a mod/admin/log channel in the guild
-      if (!delivered) {
-        const modChannelNames = ['mod-log', 'mod-logs', 'modlog', 'modlogs', 'admin', 'admin-log', 'admin-logs', 'staff', 'staff-chat', 'moderator', 'mod-chat', 'ban-requests', 'log', 'logs', 'bot-logs'];
-        const textChannels = guild.channels.cache.filter(c => c.isTextBased() && !c.isVoiceBased());
+      };
 
-        let modChannel = null;
-        for (const name of modChannelNames) {
-          modChannel = textChannels.find(c => c.name.toLowerCase() === name);
-          if (modChannel) break;
+      const postToReviewChannel = async () => {
+        if (!reviewers.channel) return;
+        try {
+          await send(reviewers.channel, mentions ? `${mentions} — **Ban request requires your attention:**` : '⚠️ **Ban request for admin review:**');
+          logger.botEvent({ event: 'ban_request_channel', details: `Ban request sent to #${reviewers.channel.name}` });
+        } catch (e) {
+          logger.botEvent({ event: 'ban_request_channel_failed', details: `Could not post in #${reviewers.channel.name}: ${e.message}` });
         }
+      };
 
-        if (modChannel) {
-          try {
-            await modChannel.send({
-              content: adminUserId ? `<@${adminUserId}> — **Ban request requires your attention:**` : '⚠️ **Ban request for admin review:**',
-              embeds: [embed],
-              components: [row]
-            });
-            delivered = true;
-            logger.botEvent({ event: 'ban_request_channel', details: `Ban request sent to #${modChannel.name} (DM failed/unavailable)` });
-          } catch (e) { /* no perms, try next */ }
-        }
+      // Attempts 1–2: a configured review channel comes before DMs; the
+      // legacy lookup DMs first and only uses a guessed mod channel if that fails
+      const attempts = reviewers.configured ? [postToReviewChannel, dmReviewers] : [dmReviewers, postToReviewChannel];
+      for (const attempt of attempts) {
+        if (!delivered) await attempt();
       }
 
       // Attempt 3: Send in the channel where the violation happened
       if (!delivered) {
         try {
-          await message.channel.send({
-            content: adminUserId ? `<@${adminUserId}> — **Ban request pending your review:**` : '⚠️ **Ban request for admin review:**',
-            embeds: [embed],
-            components: [row]
-          });
-          delivered = true;
+          await send(message.channel, mentions ? `${mentions} — **Ban request pending your review:**` : '⚠️ **Ban request for admin review:**');
           logger.botEvent({ event: 'ban_request_violation_channel', details: `Ban request sent to #${message.channel.name} as fallback` });
         } catch (e) {
           logger.error({ error: e.message, context: 'Failed to send ban request in violation channel' });
@@ -489,53 +736,128 @@ class ModBot {
         const anyChannel = guild.channels.cache.find(c => c.isTextBased() && !c.isVoiceBased() && c.permissionsFor(guild.members.me)?.has('SendMessages'));
         if (anyChannel) {
           try {
-            await anyChannel.send({
-              content: '⚠️ **Ban request — all other delivery methods failed:**',
-              embeds: [embed],
-              components: [row]
-            });
-            delivered = true;
+            await send(anyChannel, '⚠️ **Ban request — all other delivery methods failed:**');
           } catch (e) {}
         }
       }
 
-      // Store as pending ban in memory (dashboard can show these)
-      this.pendingBans.set(`${message.author.id}_${guild.id}`, {
-        userId: message.author.id,
-        username: message.author.tag,
-        guildId: guild.id,
-        guildName: guild.name,
-        reason: analysis.reasoning,
-        violations: analysis.violations,
-        confidence: analysis.confidence,
-        kicked,
-        delivered,
-        timestamp: new Date().toISOString()
-      });
-
       if (!delivered) {
-        logger.error({ error: `All delivery methods failed for ban request (user: ${message.author.tag})`, context: 'Ban request delivery exhausted' });
+        logger.error({ error: `All delivery methods failed for ban request (user: ${message.author.tag}) — it can still be reviewed in the dashboard`, context: 'Ban request delivery exhausted' });
       }
 
-      logger.modAction({
-        action: 'request_ban',
-        userId: message.author.id,
-        username: message.author.tag,
-        channelId: message.channel.id,
-        channelName: message.channel.name,
-        guildId: guild.id,
-        guildName: guild.name,
-        messageContent: message.content,
-        reason: analysis.reasoning,
-        ruleId: analysis.violations[0],
-        severity: 'critical',
-        aiConfidence: analysis.confidence
-      });
     } catch (error) {
       logger.error({ error: error.message, context: 'Ban request failed', stack: error.stack });
     }
   }
 
+  /**
+   * Who reviews ban requests in a guild and where they're posted: the
+   * configured reviewer users/roles and review channel. Only when none of
+   * those are set does it fall back to looking up `banRequestUser` by name
+   * and guessing a mod channel from its name.
+   * @returns {Promise<{ configured: boolean, users: User[], mentions: string[], channel: ?TextChannel }>}
+   */
+  async _findBanReviewers(guild, settings) {
+    const userIds = settings.banReviewerUserIds || [];
+    const roleIds = (settings.banReviewerRoleIds || []).filter(id => guild.roles.cache.has(id));
+
+    if (userIds.length > 0 || roleIds.length > 0 || settings.banReviewChannelId) {
+      const users = [];
+      for (const id of userIds) {
+        try {
+          users.push(await this.client.users.fetch(id));
+        } catch (e) {
+          logger.error({ error: `Ban reviewer ${id} not found: ${e.message}`, context: 'Ban request reviewers' });
+        }
+      }
+
+      let channel = null;
+      if (settings.banReviewChannelId) {
+        channel = await guild.channels.fetch(settings.banReviewChannelId).catch(() => null);
+        if (!channel?.isTextBased()) {
+          logger.error({ error: `Ban review channel ${settings.banReviewChannelId} not found in ${guild.name}`, context: 'Ban request reviewers' });
+          channel = null;
+        }
+      }
+
+      return {
+        configured: true,
+        users,
+        mentions: [...userIds.map(id => `<@${id}>`), ...roleIds.map(id => `<@&${id}>`)],
+        channel
+      };
+    }
+
+    const admin = await this._findBanRequestUser(guild, settings.banRequestUser || 'devloafyt');
+    return {
+      configured: false,
+      users: admin ? [admin] : [],
+      mentions: admin ? [`<@${admin.id}>`] : [],
+      channel: this._guessModChannel(guild)
+    };
+  }
+
+  /**
+   * Legacy reviewer lookup: match a username/display name in this guild,
+   * then every other guild, then the user cache
+   */
+  async _findBanRequestUser(guild, name) {
+    const matchesName = (m) => {
+      const u = m.user || m;
+      return (
+        u.username?.toLowerCase() === name.toLowerCase() ||
+        u.displayName?.toLowerCase() === name.toLowerCase() ||
+        u.globalName?.toLowerCase() === name.toLowerCase()
+      );
+    };
+
+    try {
+      const found = (await guild.members.fetch()).find(matchesName);
+      if (found) return found.user;
+    } catch (e) {
+      logger.error({ error: e.message, context: 'Failed to fetch guild members for ban request' });
+    }
+
+    for (const [, g] of this.client.guilds.cache) {
+      if (g.id === guild.id) continue;
+      try {
+        const found = (await g.members.fetch()).find(matchesName);
+        if (found) return found.user;
+      } catch (e) { /* skip */ }
+    }
+
+    return this.client.users.cache.find(matchesName) || null;
+  }
+
+  _guessModChannel(guild) {
+    const modChannelNames = ['mod-log', 'mod-logs', 'modlog', 'modlogs', 'admin', 'admin-log', 'admin-logs', 'staff', 'staff-chat', 'moderator', 'mod-chat', 'ban-requests', 'log', 'logs', 'bot-logs'];
+    const textChannels = guild.channels.cache.filter(c => c.isTextBased() && !c.isVoiceBased());
+    for (const name of modChannelNames) {
+      const channel = textChannels.find(c => c.name.toLowerCase() === name);
+      if (channel) return channel;
+    }
+    return null;
+  }
+
+  /**
+   * Text channels and roles of a connected guild, for the dashboard's
+   * pickers. Returns null if the bot isn't in the guild.
+   */
+  getGuildResources(guildId) {
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!guild) return null;
+    return {
+      channels: [...guild.channels.cache.values()]
+        .filter(c => c.isTextBased() && !c.isVoiceBased())
+        .sort((a, b) => a.rawPosition - b.rawPosition)
+        .map(c => ({ id: c.id, name: c.name })),
+      roles: [...guild.roles.cache.values()]
+        .filter(r => r.id !== guild.id && !r.managed)
+        .sort((a, b) => b.position - a.position)
+        .map(r => ({ id: r.id, name: r.name }))
+    };
+  }
+
   async _registerSlashCommands() {
     const commands = [
       new SlashCommandBuilder()
@@ -555,6 +877,12 @@ class ModBot {
         .setDescription('Show ColorGG bot status and stats')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
 
+      new SlashCommandBuilder()
+        .setName('infractions')
+        .setDescription('Show a member\'s moderation history in this server')
+        .addUserOption(opt => opt.setName('user').setDescription('User to look up').setRequired(true))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+
       new SlashCommandBuilder()
         .setName('warn')
         .setDescription('Warn a user')
@@ -609,12 +937,16 @@ class ModBot {
     if (interaction.isButton()) {
       return this._handleButton(interaction);
     }
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('feedback_rules_')) {
+      return this._handleMissedViolationSelect(interaction);
+    }
     if (!interaction.isChatInputCommand()) return;
 
     switch (interaction.commandName) {
       case 'summary': return this._cmdSummary(interaction);
       case 'purge': return this._cmdPurge(interaction);
       case 'status': return this._cmdStatus(interaction);
+      case 'infractions': return this._cmdInfractions(interaction);
       case 'warn': return this._cmdWarn(interaction);
       case 'timeout': return this._cmdTimeout(interaction);
       case 'kick': return this._cmdKick(interaction);
@@ -635,7 +967,7 @@ class ModBot {
         return interaction.editReply('Not enough messages to summarize.');
       }
 
-      const result = await aiEngine.summarizeChat(sorted, interaction.channel.name, interaction.guild.name);
+      const result = await aiEngine.summarizeChat(sorted, interaction.channel.name, interaction.guild.name, interaction.guild.id);
 
       // Store for dashboard
       this.summaries.unshift(result);
@@ -677,7 +1009,7 @@ class ModBot {
 
       await interaction.editReply(`🔍 Scanning ${messages.length} messages with AI...`);
 
-      const result = await aiEngine.analyzeForPurge(messages, interaction.channel.name);
+      const result = await aiEngine.analyzeForPurge(messages, interaction.channel.name, interaction.guild.id);
 
       if (!result.flaggedIndexes || result.flaggedIndexes.length === 0) {
         return interaction.editReply(`✅ Scanned ${messages.length} messages — all clean! No violations found.`);
@@ -729,7 +1061,8 @@ class ModBot {
         guildId: interaction.guild.id,
         guildName: interaction.guild.name,
         reason: `AI purge: scanned ${messages.length}, flagged ${result.flaggedIndexes.length}, deleted ${deleted}`,
-        severity: 'medium'
+        severity: 'medium',
+        moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
       });
       this._emitStatus('action');
     } catch (error) {
@@ -741,6 +1074,7 @@ class ModBot {
   // ─── /status ───────────────────────────────────────────────
   async _cmdStatus(interaction) {
     const status = this.getStatus();
+    const warnings = warningLedger.getGuildStats(interaction.guild.id);
     const uptime = status.uptime ? `${Math.floor(status.uptime / 3600000)}h ${Math.floor((status.uptime % 3600000) / 60000)}m` : 'N/A';
 
     const embed = new EmbedBuilder()
@@ -752,7 +1086,8 @@ class ModBot {
         { name: '🏠 Servers', value: `${status.guilds}`, inline: true },
         { name: '👥 Members', value: `${status.members}`, inline: true },
         { name: '💬 Messages', value: `${status.messageCount}`, inline: true },
-        { name: '⚡ Actions', value: `${status.actionCount}`, inline: true }
+        { name: '⚡ Actions', value: `${status.actionCount}`, inline: true },
+        { name: '⚠️ Active Warnings', value: `${warnings.activeWarnings} (${warnings.warnedUsers} users)`, inline: true }
       )
       .setTimestamp()
       .setFooter({ text: 'ColorGG AI Moderation' });
@@ -760,17 +1095,53 @@ class ModBot {
     await interaction.reply({ embeds: [embed] });
   }
 
+  // ─── /infractions ──────────────────────────────────────────
+  async _cmdInfractions(interaction) {
+    const user = interaction.options.getUser('user');
+    const record = getInfractions(user.id, interaction.guild.id);
+    const { counts } = record;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📁 Infractions — ${user.tag}`)
+      .setColor(0x7C6CF7)
+      .setThumbnail(user.displayAvatarURL())
+      .addFields(
+        { name: '⚠️ Warnings', value: `${counts.warns} (${record.activeWarnings.length} active)`, inline: true },
+        { name: '🔇 Timeouts', value: `${counts.timeouts}`, inline: true },
+        { name: '👢 Kicks', value: `${counts.kicks}`, inline: true },
+        { name: '🚨 Ban Requests', value: `${counts.banRequests}`, inline: true },
+        { name: '🔨 Bans', value: `${counts.bans}`, inline: true },
+        { name: '🔍 AI Flags', value: `${counts.aiFlags}`, inline: true }
+      )
+      .setTimestamp()
+      .setFooter({ text: `ColorGG AI Moderation · User ID ${user.id}` });
+
+    const recent = record.history.slice(0, 10).map(entry => {
+      const when = `<t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:R>`;
+      const label = entry.type === 'ai_analysis'
+        ? `AI FLAG${entry.violations?.length ? ` [${entry.violations.join(', ')}]` : ''}`
+        : `${entry.action.replace('_', ' ').toUpperCase()}${entry.violations?.length ? ` [${entry.violations.join(', ')}]` : entry.ruleId ? ` [${entry.ruleId}]` : ''}`;
+      const reason = (entry.reason || entry.reasoning || '').substring(0, 80);
+      return `${when} **${label}** — ${reason}`;
+    }).join('\n');
+
+    embed.addFields({ name: '📋 Recent History', value: recent.substring(0, 1024) || 'No infractions on record.' });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
   // ─── /warn ─────────────────────────────────────────────────
   async _cmdWarn(interaction) {
     const user = interaction.options.getUser('user');
     const reason = interaction.options.getString('reason');
 
-    aiEngine.addWarning(user.id);
-    const count = aiEngine.getWarningCount(user.id);
+    const moderator = { type: 'human', id: interaction.user.id, tag: interaction.user.tag };
+    const warning = warningLedger.add(interaction.guild.id, user.id, { reason, moderator });
+    const count = warningLedger.getCount(interaction.guild.id, user.id);
 
     try {
       const dm = await user.createDM();
-      await dm.send(`⚠️ **Warning from ${interaction.guild.name}** — ${reason} (Warning #${count})`);
+      await dm.send(`⚠️ **Warning from ${interaction.guild.name}** — ${reason} (Active warnings: ${count})`);
     } catch (e) {}
 
     const embed = new EmbedBuilder()
@@ -778,7 +1149,7 @@ class ModBot {
       .setColor(0xFFB84D)
       .addFields(
         { name: 'User', value: `${user.tag}`, inline: true },
-        { name: 'Warning #', value: `${count}`, inline: true },
+        { name: 'Active Warnings', value: `${count}`, inline: true },
         { name: 'Reason', value: reason }
       )
       .setTimestamp();
@@ -787,8 +1158,9 @@ class ModBot {
 
     logger.modAction({
       action: 'warn', userId: user.id, username: user.tag,
+      channelId: interaction.channel.id, channelName: interaction.channel.name,
       guildId: interaction.guild.id, guildName: interaction.guild.name,
-      reason: `[Manual] ${reason}`, severity: 'low'
+      reason: `[Manual] ${reason}`, severity: 'low', warningId: warning.id, moderator
     });
     this.actionCount++;
     this._emitStatus('action');
@@ -818,8 +1190,10 @@ class ModBot {
 
       logger.modAction({
         action: 'timeout', userId: user.id, username: user.tag,
+        channelId: interaction.channel.id, channelName: interaction.channel.name,
         guildId: interaction.guild.id, guildName: interaction.guild.name,
-        reason: `[Manual] ${reason}`, severity: 'medium', duration: duration * 60
+        reason: `[Manual] ${reason}`, severity: 'medium', duration: duration * 60,
+        moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
       });
       this.actionCount++;
       this._emitStatus('action');
@@ -850,8 +1224,10 @@ class ModBot {
 
       logger.modAction({
         action: 'kick', userId: user.id, username: user.tag,
+        channelId: interaction.channel.id, channelName: interaction.channel.name,
         guildId: interaction.guild.id, guildName: interaction.guild.name,
-        reason: `[Manual] ${reason}`, severity: 'high'
+        reason: `[Manual] ${reason}`, severity: 'high',
+        moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
       });
       this.actionCount++;
       this._emitStatus('action');
@@ -886,8 +1262,10 @@ class ModBot {
 
       logger.modAction({
         action: 'ban', userId: user.id, username: user.tag,
+        channelId: interaction.channel.id, channelName: interaction.channel.name,
         guildId: interaction.guild.id, guildName: interaction.guild.name,
-        reason: `[Manual] ${reason}`, severity: 'critical'
+        reason: `[Manual] ${reason}`, severity: 'critical',
+        moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
       });
       this.actionCount++;
       this._emitStatus('action');
@@ -900,83 +1278,532 @@ class ModBot {
     return this.summaries;
   }
 
-  async _handleButton(interaction) {
-    const [action, type, userId, guildId] = interaction.customId.split('_');
-    if (action !== 'ban') return;
+  // ─── Ban Requests ──────────────────────────────────────────
+  /**
+   * Message content, embed and buttons for a ban request. Once it's decided
+   * the embed shows the outcome and the buttons are removed.
+   */
+  _banRequestPayload(request) {
+    const pending = request.status === 'pending';
+    const by = request.resolvedBy?.tag ? ` by ${request.resolvedBy.tag}` : '';
+    const outcome = {
+      pending: { color: 0xFF0000, text: null },
+      approved: { color: 0x2ECC71, text: `✅ **Ban approved**${by} — ${request.username} has been banned.` },
+      denied: { color: 0x95A5A6, text: `❌ **Ban denied**${by} — ${request.kicked ? 'no further action taken' : 'their timeout has been removed'}.` },
+      expired: { color: 0x95A5A6, text: `⌛ **Ban request expired** — nobody decided in time, so it was denied${request.kicked ? '' : ' and their timeout removed'}.` }
+    }[request.status];
+    const tally = banRequests.tally(request);
 
-    if (type === 'approve') {
+    const embed = new EmbedBuilder()
+      .setTitle('🚨 BAN REQUEST — ColorGG')
+      .setColor(outcome.color)
+      .setDescription(pending
+        ? `**A critical violation was detected. The user has been ${request.kicked ? 'KICKED' : 'timed out'} and a ban is recommended.**\n\nPlease review and approve or deny.`
+        : `${outcome.text}${request.note ? `\n${request.note}` : ''}`)
+      .addFields(
+        { name: '👤 Offender', value: `${request.username}\n\`${request.userId}\``, inline: true },
+        { name: '🏠 Server', value: request.guildName, inline: true },
+        { name: '📍 Channel', value: `#${request.channelName}`, inline: true },
+        { name: '💬 Message Content', value: `\`\`\`${(request.messageContent || '').substring(0, 900) || 'N/A'}\`\`\``, inline: false },
+        { name: '⚠️ Violation', value: request.violations.join(', ') || 'Unknown', inline: true },
+        { name: '📊 Confidence', value: `**${(request.confidence * 100).toFixed(1)}%**`, inline: true },
+        { name: '🧠 Reasoning', value: request.reason || 'N/A', inline: false },
+        { name: '⚔️ Action Taken', value: request.kicked ? 'User was **kicked** from the server' : 'User was **timed out** (7 days)', inline: false }
+      )
+      .setTimestamp(new Date(request.createdAt))
+      .setFooter({ text: `ColorGG AI Moderation — Ban Request ${request.id}` });
+
+    if (request.approvalsRequired > 1 || request.votes?.length > 0) {
+      const voters = vote => request.votes.filter(v => v.vote === vote).map(v => v.moderator.tag).join(', ');
+      embed.addFields({
+        name: `🗳️ Votes (${request.approvalsRequired} needed)`,
+        value: `✅ Approve: **${tally.approve}**${tally.approve ? ` — ${voters('approve')}` : ''}\n❌ Deny: **${tally.deny}**${tally.deny ? ` — ${voters('deny')}` : ''}`,
+        inline: false
+      });
+    }
+    if (pending && request.expiresAt) {
+      embed.addFields({ name: '⌛ Auto-deny', value: `<t:${Math.floor(new Date(request.expiresAt).getTime() / 1000)}:R> without a decision`, inline: false });
+    }
+
+    if (!pending) return { content: outcome.text, embeds: [embed], components: [] };
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`ban_approve_${request.id}`)
+        .setLabel(request.approvalsRequired > 1 ? `Approve Ban (${tally.approve}/${request.approvalsRequired})` : 'Approve Ban')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(`ban_deny_${request.id}`)
+        .setLabel(request.approvalsRequired > 1 ? `Deny (${tally.deny}/${request.approvalsRequired})` : 'Deny')
+        .setEmoji('❌')
+        .setStyle(ButtonStyle.Secondary)
+    );
+    return { embeds: [embed], components: [row] };
+  }
+
+  /**
+   * Record a reviewer's vote from the Discord buttons or the dashboard (which
+   * counts as one reviewer). Once the request's `approvalsRequired` reviewers
+   * agree it's decided that way; until then the embeds just show the tally.
+   * Reviewers can change their vote.
+   * @param {'approve'|'deny'} vote
+   * @returns {Promise<{ request: object } | { error: string, status: number }>}
+   */
+  async voteOnBanRequest(id, vote, moderator) {
+    const current = banRequests.get(id);
+    if (!current) return { error: 'Ban request not found', status: 404 };
+    if (current.status !== 'pending') return { error: `This ban request was already ${current.status}`, status: 409 };
+    if (!this.isRunning) return { error: 'The bot must be running to act on ban requests', status: 503 };
+
+    const request = banRequests.vote(id, moderator, vote);
+    const tally = banRequests.tally(request);
+    logger.botEvent({
+      event: 'ban_request_vote',
+      details: `${moderator.tag} voted to ${vote} the ban of ${request.username} in ${request.guildName} (✅ ${tally.approve} · ❌ ${tally.deny} of ${request.approvalsRequired} needed)`
+    });
+    if (request.logId) logger.update(request.logId, { votes: request.votes });
+
+    if (tally[vote] >= request.approvalsRequired) return this.resolveBanRequest(id, vote, moderator);
+    await this._updateBanRequestMessages(request);
+    return { request };
+  }
+
+  /**
+   * Decide a pending ban request. Approving bans the offender (even if they
+   * already left); denying or expiring lifts their timeout. Every message
+   * the request was posted in is updated with the outcome. Reviewers go
+   * through voteOnBanRequest, which comes here once the quorum is reached.
+   * @param {'approve'|'deny'|'expire'} decision
+   * @param {{ type: 'ai'|'human', id?: string, tag?: string }} moderator
+   * @returns {Promise<{ request: object } | { error: string, status: number }>}
+   */
+  async resolveBanRequest(id, decision, moderator) {
+    const request = banRequests.get(id);
+    if (!request) return { error: 'Ban request not found', status: 404 };
+    if (request.status !== 'pending') return { error: `This ban request was already ${request.status}`, status: 409 };
+    if (!this.isRunning) return { error: 'The bot must be running to act on ban requests', status: 503 };
+
+    const by = moderator.tag || 'a moderator';
+    let guild = null;
+    try {
+      guild = this.client.guilds.cache.get(request.guildId) || await this.client.guilds.fetch(request.guildId);
+    } catch (e) {
+      // An expired request is closed even if the server is gone
+      if (decision !== 'expire') return { error: `Could not reach ${request.guildName}: ${e.message}`, status: 502 };
+    }
+    const member = guild ? await guild.members.fetch(request.userId).catch(() => null) : null;
+
+    let note = null;
+    if (decision === 'approve') {
+      const requestEntry = request.logId ? logger.getLogById(request.logId) : null;
       try {
-        const guild = this.client.guilds.cache.get(guildId) || await this.client.guilds.fetch(guildId);
-        const member = await guild.members.fetch(userId).catch(() => null);
         if (member && member.bannable) {
-          await member.ban({ reason: '[ColorGG] Ban approved by admin' });
-          await interaction.update({
-            content: `✅ **Ban approved** — ${member.user.tag} has been banned.`,
-            embeds: [],
-            components: []
-          });
-          logger.modAction({
-            action: 'ban',
-            userId,
-            username: member.user.tag,
-            guildId,
-            guildName: guild.name,
-            reason: 'Ban approved by admin',
-            severity: 'critical'
-          });
+          await member.ban({ reason: `[ColorGG] Ban approved by ${by}` });
         } else {
-          try {
-            await guild.bans.create(userId, { reason: '[ColorGG] Ban approved by admin (user already left)' });
-            await interaction.update({
-              content: `✅ **Ban approved** — User ID ${userId} has been banned (they were already kicked/left).`,
-              embeds: [],
-              components: []
-            });
-            logger.modAction({
-              action: 'ban',
-              userId,
-              username: 'Unknown (left server)',
-              guildId,
-              guildName: guild.name,
-              reason: 'Ban approved by admin (user already left)',
-              severity: 'critical'
-            });
-          } catch (banErr) {
-            await interaction.update({
-              content: `⚠️ Could not ban user — they may have already left and I lack ban permissions. Error: ${banErr.message}`,
-              embeds: [],
-              components: []
-            });
-          }
+          await guild.bans.create(request.userId, { reason: `[ColorGG] Ban approved by ${by} (user already left)` });
         }
-        this.pendingBans.delete(`${userId}_${guildId}`);
-      } catch (error) {
-        await interaction.update({
-          content: `❌ Ban failed: ${error.message}`,
-          embeds: [],
-          components: []
-        });
+      } catch (e) {
+        return { error: `Could not ban user — they may have already left and I lack ban permissions. Error: ${e.message}`, status: 502 };
       }
-    } else if (type === 'deny') {
+      logger.modAction({
+        action: 'ban',
+        userId: request.userId,
+        username: member?.user.tag || request.username,
+        channelId: request.channelId,
+        channelName: request.channelName,
+        guildId: request.guildId,
+        guildName: guild.name,
+        messageId: requestEntry?.messageId,
+        messageContent: request.messageContent,
+        reason: `Ban approved by ${by}${member ? '' : ' (user already left)'}`,
+        ruleId: request.ruleId,
+        violations: request.violations,
+        severity: 'critical',
+        moderator
+      });
+    } else if (member) {
       try {
-        const guild = this.client.guilds.cache.get(guildId) || await this.client.guilds.fetch(guildId);
-        const member = await guild.members.fetch(userId).catch(() => null);
-        if (member) {
-          await member.timeout(null, '[ColorGG] Ban request denied by admin');
+        await member.timeout(null, decision === 'expire' ? '[ColorGG] Ban request expired without review' : `[ColorGG] Ban request denied by ${by}`);
+      } catch (e) {
+        note = `Could not remove the timeout: ${e.message}`;
+      }
+    }
+
+    const status = { approve: 'approved', deny: 'denied', expire: 'expired' }[decision];
+    const resolved = banRequests.resolve(id, status, { moderator, note });
+    if (!resolved) return { error: 'This ban request was decided by someone else', status: 409 };
+    if (resolved.logId) {
+      logger.update(resolved.logId, { review: { status: resolved.status, moderator, note, votes: resolved.votes, timestamp: resolved.resolvedAt } });
+    }
+    await this._updateBanRequestMessages(resolved);
+    return { request: resolved };
+  }
+
+  // Deny ban requests nobody decided within their guild's review window, or
+  // before the offender's week-long timeout ran out
+  async _expireBanRequests() {
+    for (const request of banRequests.listDue()) {
+      const result = await this.resolveBanRequest(request.id, 'expire', { type: 'ai', tag: 'ColorGG' });
+      if (result.error) {
+        logger.error({ error: result.error, context: `Failed to expire ban request ${request.id}` });
+      } else {
+        logger.botEvent({ event: 'ban_request_expired', details: `Ban request for ${request.username} in ${request.guildName} expired without a decision and was denied` });
+      }
+    }
+  }
+
+  /**
+   * Whether a user may approve or deny ban requests for a guild: a configured
+   * reviewer (by user ID or role) or a member with Ban Members. Names are
+   * never trusted — anyone can change their display name.
+   */
+  async _canReviewBans(user, guildId) {
+    const settings = ConfigManager.getSettings(guildId);
+    const reviewerIds = settings.banReviewerUserIds || [];
+    const reviewerRoles = settings.banReviewerRoleIds || [];
+    if (reviewerIds.includes(user.id)) return true;
+
+    try {
+      const guild = this.client.guilds.cache.get(guildId) || await this.client.guilds.fetch(guildId);
+      const member = await guild.members.fetch(user.id);
+      return member.permissions.has(PermissionFlagsBits.BanMembers) ||
+        reviewerRoles.some(id => member.roles.cache.has(id));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async _updateBanRequestMessages(request) {
+    const payload = this._banRequestPayload(request);
+    for (const ref of request.messages) {
+      try {
+        const channel = await this.client.channels.fetch(ref.channelId);
+        const message = await channel.messages.fetch(ref.messageId);
+        await message.edit(payload);
+      } catch (e) {
+        logger.error({ error: e.message, context: `Failed to update ban request message ${ref.messageId}` });
+      }
+    }
+  }
+
+  // ─── Mod-Log Channel ───────────────────────────────────────
+  /**
+   * Post a mod_action to the guild's mod-log channel (`modLogChannelId`),
+   * with a revert button for reversible actions and false-positive feedback
+   * for AI ones
+   */
+  async _postModLog(entry) {
+    if (!this.isRunning || !entry.guildId) return;
+    const channelId = ConfigManager.getSettings(entry.guildId).modLogChannelId;
+    if (!channelId) return;
+
+    try {
+      const guild = this.client.guilds.cache.get(entry.guildId);
+      const channel = guild && await guild.channels.fetch(channelId);
+      if (!channel?.isTextBased()) throw new Error(`Mod-log channel ${channelId} not found`);
+      await channel.send(this._modLogPayload(entry));
+    } catch (error) {
+      logger.error({ error: error.message, context: 'Failed to post to mod-log channel' });
+    }
+  }
+
+  _modLogPayload(entry) {
+    const style = MOD_LOG_STYLES[entry.action] || { emoji: '🛡️', color: 0x5865F2 };
+    const moderator = entry.moderator?.type === 'human' ? `${entry.moderator.tag}${entry.moderator.id ? ` (<@${entry.moderator.id}>)` : ''}` : 'ColorGG (AI)';
+    // Every action but a warning deletes the offending message
+    const jump = entry.messageId && entry.action === 'warn'
+      ? `https://discord.com/channels/${entry.guildId}/${entry.channelId}/${entry.messageId}`
+      : entry.channelId ? `https://discord.com/channels/${entry.guildId}/${entry.channelId}` : null;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${style.emoji} ${entry.action.replace('_', ' ').toUpperCase()}`)
+      .setColor(style.color)
+      .addFields(
+        { name: 'Offender', value: entry.userId ? `${entry.username || 'Unknown'} (<@${entry.userId}>)\n\`${entry.userId}\`` : '—', inline: true },
+        { name: 'Moderator', value: moderator, inline: true },
+        { name: 'Rule', value: entry.violations?.length ? entry.violations.join(', ') : entry.ruleId || '—', inline: true },
+        { name: 'Confidence', value: typeof entry.aiConfidence === 'number' ? `${Math.round(entry.aiConfidence * 100)}%` : '—', inline: true }
+      )
+      .setTimestamp(new Date(entry.timestamp))
+      .setFooter({ text: `ColorGG Mod Log — ${entry.id}` });
+
+    if (entry.duration) embed.addFields({ name: 'Duration', value: `${Math.floor(entry.duration / 60)} minutes`, inline: true });
+    if (entry.escalation) embed.addFields({ name: 'Escalation', value: `Step ${entry.escalation.step} of ${entry.escalation.of}`, inline: true });
+    embed.addFields({ name: 'Reason', value: (entry.reason || 'No reason provided').substring(0, 1000), inline: false });
+    if (entry.messageContent) {
+      const excerpt = entry.messageContent.length > 300 ? `${entry.messageContent.substring(0, 300)}…` : entry.messageContent;
+      embed.addFields({ name: 'Message', value: `\`\`\`${excerpt.replace(/```/g, "'''")}\`\`\``, inline: false });
+    }
+    if (jump) embed.addFields({ name: 'Context', value: `[Jump to ${entry.channelName ? `#${entry.channelName}` : 'channel'}](${jump})`, inline: false });
+
+    const buttons = [];
+    if (REVERSIBLE_ACTIONS.includes(entry.action) && (entry.action !== 'warn' || entry.warningId)) {
+      buttons.push(new ButtonBuilder()
+        .setCustomId(`modlog_revert_${entry.id}`)
+        .setLabel(`Revert ${entry.action}`)
+        .setEmoji('↩️')
+        .setStyle(ButtonStyle.Secondary));
+    }
+    if (entry.moderator?.type !== 'human' && entry.action !== 'ai_purge' && !entry.revertOf) {
+      buttons.push(...this._feedbackRow(entry.id).components);
+    }
+    return { embeds: [embed], components: buttons.length ? [new ActionRowBuilder().addComponents(buttons)] : [] };
+  }
+
+  /**
+   * Undo an action from its mod-log post. Lifting a ban needs Ban Members,
+   * anything else Moderate Members.
+   */
+  async _handleModLogButton(interaction) {
+    const logId = interaction.customId.split('_')[2];
+    const entry = logger.getLogById(logId);
+    if (!entry || entry.type !== 'mod_action') {
+      return interaction.reply({ content: 'That action is no longer in the logs.', ephemeral: true });
+    }
+
+    const permission = entry.action === 'ban' ? PermissionFlagsBits.BanMembers : PermissionFlagsBits.ModerateMembers;
+    if (!interaction.memberPermissions?.has(permission)) {
+      return interaction.reply({ content: `Only moderators who can ${entry.action === 'ban' ? 'ban' : 'time out'} members can revert this.`, ephemeral: true });
+    }
+    if (entry.reverted) {
+      return interaction.reply({ content: `Already reverted by ${entry.reverted.moderator?.tag || 'someone'}.`, ephemeral: true });
+    }
+
+    await interaction.deferUpdate();
+    const moderator = { type: 'human', id: interaction.user.id, tag: interaction.user.tag };
+    const reverted = await this._revertAction(entry, moderator, { reason: 'Reverted from the mod log', event: 'action_reverted' });
+    if (!reverted) {
+      return interaction.followUp({ content: '⚠️ Nothing was undone — the action may already have been reverted or expired.', ephemeral: true });
+    }
+
+    const done = this._doneButton(`modlog_done_${logId}`, `Reverted by ${interaction.user.tag} — ${reverted}`, '↩️');
+    await interaction.editReply({ components: this._swapButtons(interaction.message, ['modlog_'], done) });
+  }
+
+  // ─── Moderator Feedback ────────────────────────────────────
+  /**
+   * Record a moderator's verdict on a logged AI decision. A false positive
+   * also undoes what can be undone: timeouts are lifted, warnings removed.
+   * @param {{ verdict, ruleIds?, note?, moderator? }} input
+   * @returns {Promise<{ entry, reverted: string|null } | { error, status }>}
+   */
+  async submitFeedback(logId, input) {
+    const entry = logger.getLogById(logId);
+    if (!entry) return { error: 'Log entry not found', status: 404 };
+
+    const errors = feedback.validate(entry, input);
+    if (errors.length > 0) return { error: errors.join('; '), status: 400 };
+
+    const related = feedback.relatedAction(entry);
+    if (entry.feedback || related?.feedback) {
+      return { error: 'A moderator already gave feedback on this decision', status: 409 };
+    }
+
+    const { entry: updated, action } = feedback.record(entry, input, related);
+    const reverted = input.verdict === 'false_positive' && action?.type === 'mod_action'
+      ? await this._revertAction(action, input.moderator)
+      : null;
+    return { entry: updated, reverted };
+  }
+
+  /**
+   * Undo a reversible action (see REVERSIBLE_ACTIONS) and log the undo as
+   * its own mod_action (unwarn, untimeout or unban), which also posts it to
+   * the mod log. The original entry is marked `reverted` so it no longer
+   * counts towards escalation. Returns what was undone, or null.
+   * @param {{ reason?: string, event?: string }} [options] - why it's undone
+   *   (for the audit log) and the bot_event to record
+   */
+  async _revertAction(entry, moderator, options = {}) {
+    const { reason = 'Marked as a false positive', event = 'false_positive_reverted' } = options;
+    const by = moderator?.tag ? ` by ${moderator.tag}` : '';
+    let reverted = null;
+    try {
+      if (entry.action === 'warn' && entry.warningId) {
+        if (warningLedger.remove(entry.guildId, entry.userId, entry.warningId)) reverted = 'warning removed';
+      } else if ((entry.action === 'timeout' || entry.action === 'ban') && this.client) {
+        const guild = this.client.guilds.cache.get(entry.guildId) || await this.client.guilds.fetch(entry.guildId);
+        if (entry.action === 'ban') {
+          await guild.bans.remove(entry.userId, `[ColorGG] ${reason}${by}`);
+          reverted = 'ban lifted';
+        } else {
+          const member = await guild.members.fetch(entry.userId);
+          await member.timeout(null, `[ColorGG] ${reason}${by}`);
+          reverted = 'timeout lifted';
         }
-        await interaction.update({
-          content: '❌ **Ban denied** — User timeout has been removed.',
-          embeds: [],
-          components: []
-        });
-        this.pendingBans.delete(`${userId}_${guildId}`);
-      } catch (error) {
-        await interaction.update({
-          content: `Ban denied, but could not remove timeout: ${error.message}`,
-          embeds: [],
-          components: []
-        });
       }
+    } catch (error) {
+      logger.error({ error: error.message, context: `Failed to undo ${entry.action} (${reason.toLowerCase()})` });
+    }
+
+    if (reverted) {
+      logger.update(entry.id, { reverted: { what: reverted, moderator: moderator || null, timestamp: new Date().toISOString() } });
+      logger.modAction({
+        action: `un${entry.action}`,
+        userId: entry.userId,
+        username: entry.username,
+        channelId: entry.channelId,
+        channelName: entry.channelName,
+        guildId: entry.guildId,
+        guildName: entry.guildName,
+        reason: `${reason}${by}: ${reverted}`,
+        ruleId: entry.ruleId,
+        violations: entry.violations,
+        severity: entry.severity,
+        moderator: moderator || null,
+        revertOf: entry.id
+      });
+      logger.botEvent({ event, details: `${entry.action} on ${entry.username || entry.userId} — ${reason.toLowerCase()}${by}: ${reverted}` });
+    }
+    return reverted;
+  }
+
+  _feedbackRow(logId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`feedback_fp_${logId}`)
+        .setLabel('False positive')
+        .setEmoji('👎')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`feedback_missed_${logId}`)
+        .setLabel('Missed violation')
+        .setEmoji('🔎')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  // A disabled button saying who did what
+  _doneButton(customId, label, emoji) {
+    return new ButtonBuilder()
+      .setCustomId(customId)
+      .setLabel(label.substring(0, 80))
+      .setEmoji(emoji)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true);
+  }
+
+  /**
+   * A post's components with the buttons whose IDs start with one of
+   * `prefixes` replaced by `done`; every other button is kept
+   */
+  _swapButtons(message, prefixes, done) {
+    const kept = (message?.components || [])
+      .flatMap(row => row.components)
+      .filter(c => c.customId && !prefixes.some(prefix => c.customId.startsWith(prefix)))
+      .map(c => ButtonBuilder.from(c));
+    return [new ActionRowBuilder().addComponents(...kept, done)];
+  }
+
+  async _handleFeedbackButton(interaction) {
+    const [, type, logId] = interaction.customId.split('_');
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+      return interaction.reply({ content: 'Only moderators can give feedback on ColorGG decisions.', ephemeral: true });
+    }
+    if (type === 'missed') return this._promptMissedViolation(interaction, logId);
+
+    await interaction.deferUpdate();
+    const result = await this.submitFeedback(logId, {
+      verdict: 'false_positive',
+      moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
+    });
+    if (result.error) {
+      return interaction.followUp({ content: `⚠️ ${result.error}`, ephemeral: true });
+    }
+
+    // A false positive that undid the action also closes its revert button
+    const done = this._doneButton(`feedback_done_${logId}`, `Marked false positive by ${interaction.user.tag}`, '👎');
+    const closed = result.reverted ? ['feedback_', 'modlog_revert_'] : ['feedback_'];
+    await interaction.editReply({ components: this._swapButtons(interaction.message, closed, done) });
+    await interaction.followUp({
+      content: `👎 Thanks — recorded as a false positive${result.reverted ? ` (${result.reverted})` : ''}.`,
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Ask which rule(s) the AI missed. The select's ID carries the post it was
+   * opened from so that post's buttons can be closed once feedback is in.
+   */
+  async _promptMissedViolation(interaction, logId) {
+    const entry = logger.getLogById(logId);
+    if (!entry) return interaction.reply({ content: 'That decision is no longer in the logs.', ephemeral: true });
+    if (entry.feedback) return interaction.reply({ content: 'A moderator already gave feedback on this decision.', ephemeral: true });
+
+    // Discord select menus hold at most 25 options
+    const rules = ConfigManager.getRules(entry.guildId)
+      .filter(r => r.enabled && !(entry.violations || []).includes(r.id))
+      .slice(0, 25);
+    if (rules.length === 0) return interaction.reply({ content: 'There are no other rules this message could have broken.', ephemeral: true });
+
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`feedback_rules_${logId}_${interaction.message.id}`)
+      .setPlaceholder('Which rule(s) did the message break?')
+      .setMinValues(1)
+      .setMaxValues(rules.length)
+      .addOptions(rules.map(r => ({ label: r.name.substring(0, 100), value: r.id, description: `${r.id} · ${r.severity}` })));
+    await interaction.reply({ content: '🔎 Which rule(s) did ColorGG miss?', components: [new ActionRowBuilder().addComponents(select)], ephemeral: true });
+  }
+
+  async _handleMissedViolationSelect(interaction) {
+    const [, , logId, postId] = interaction.customId.split('_');
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+      return interaction.reply({ content: 'Only moderators can give feedback on ColorGG decisions.', ephemeral: true });
+    }
+
+    const result = await this.submitFeedback(logId, {
+      verdict: 'missed_violation',
+      ruleIds: interaction.values,
+      moderator: { type: 'human', id: interaction.user.id, tag: interaction.user.tag }
+    });
+    if (result.error) {
+      return interaction.update({ content: `⚠️ ${result.error}`, components: [] });
+    }
+
+    await interaction.update({ content: `🔎 Thanks — recorded as a missed violation of ${interaction.values.join(', ')}.`, components: [] });
+    try {
+      const post = await interaction.channel.messages.fetch(postId);
+      const done = this._doneButton(`feedback_done_${logId}`, `Missed violation noted by ${interaction.user.tag}`, '🔎');
+      await post.edit({ components: this._swapButtons(post, ['feedback_'], done) });
+    } catch (e) {
+      logger.error({ error: e.message, context: 'Failed to update feedback buttons' });
+    }
+  }
+
+  async _handleButton(interaction) {
+    if (interaction.customId.startsWith('feedback_')) return this._handleFeedbackButton(interaction);
+    if (interaction.customId.startsWith('modlog_')) return this._handleModLogButton(interaction);
+
+    const [action, type, ...ids] = interaction.customId.split('_');
+    if (action !== 'ban' || (type !== 'approve' && type !== 'deny')) return;
+
+    // Buttons posted before requests were stored carry `<userId>_<guildId>`
+    const request = ids.length === 2 ? banRequests.findPending(ids[0], ids[1]) : banRequests.get(ids[0]);
+    if (!request) {
+      return interaction.reply({ content: 'This ban request is no longer tracked — use `/ban` if a ban is still needed.', ephemeral: true });
+    }
+
+    // Fallback deliveries can land in channels any member can see
+    if (!await this._canReviewBans(interaction.user, request.guildId)) {
+      logger.botEvent({ event: 'ban_review_denied', details: `${interaction.user.tag} (${interaction.user.id}) tried to ${type} ban request ${request.id} without permission` });
+      return interaction.reply({ content: '🚫 Only ban reviewers and members with the Ban Members permission can decide ban requests.', ephemeral: true });
+    }
+
+    await interaction.deferUpdate();
+    const result = await this.voteOnBanRequest(request.id, type, { type: 'human', id: interaction.user.id, tag: interaction.user.tag });
+    if (result.error) {
+      return interaction.followUp({ content: `⚠️ ${result.error}`, ephemeral: true });
+    }
+    if (!result.request.messages.some(m => m.messageId === interaction.message.id)) {
+      await interaction.editReply(this._banRequestPayload(result.request));
+    }
+    if (result.request.status === 'pending') {
+      const { approve, deny } = banRequests.tally(result.request);
+      await interaction.followUp({
+        content: `🗳️ Vote recorded — ✅ ${approve} · ❌ ${deny} of ${result.request.approvalsRequired} needed.`,
+        ephemeral: true
+      });
     }
   }
 
@@ -990,7 +1817,9 @@ class ModBot {
       members: this.client?.guilds?.cache?.reduce((a, g) => a + g.memberCount, 0) || 0,
       messageCount: this.messageCount,
       actionCount: this.actionCount,
-      pendingBans: Array.from(this.pendingBans.values()),
+      pendingBans: banRequests.list({ status: 'pending' }),
+      queue: analysisQueue.getStats(),
+      verdictCache: verdictCache.getStats(),
       guildList: this.client?.guilds?.cache?.map(g => ({
         id: g.id,
         name: g.name,
@@ -0,0 +1,255 @@
+const ConfigManager = require('../config/config-manager');
+const { rulesForMessage } = require('./rule-scope');
+
+/**
+ * Deterministic pre-filter that runs before the AI call. Each check resolves
+ * a message as a violation (of an existing rule ID), as clean, or escalates it
+ * to the AI when the signal is ambiguous.
+ */
+
+// Known phishing / lookalike domains (extend per deployment via settings.blockedDomains)
+const BLOCKED_DOMAINS = [
+  'dlscord.com', 'discorcl.com', 'disc0rd.com', 'discord-nitro.com', 'discordgift.site',
+  'discord-gift.com', 'discordnitro.gift', 'steamcommunnity.com', 'steamcomunity.com',
+  'stearncommunity.com', 'steamcommunlty.com'
+];
+
+// Lookalike patterns for domains not on the list yet
+const LOOKALIKE_PATTERN = /(d[l1i]sc[o0]rd|disc[o0]rcl|steamcomm?u?nn?[il1]ty|stearncommunity)/i;
+
+const SCAM_PHRASES = /\b(free\s+(discord\s+)?nitro|nitro\s+giveaway|steam\s+gift|claim\s+your\s+(prize|gift|nitro)|airdrop)\b/i;
+const INVITE_PATTERN = /(discord\.gg|discord\.com\/invite)\/[\w-]+/i;
+const URL_PATTERN = /https?:\/\/([^\s/?#]+)/gi;
+
+const THRESHOLDS = {
+  floodMessages: 6,          // messages from one user...
+  floodWindowMs: 5000,       // ...within this window
+  duplicateCount: 3,         // identical messages from one user...
+  duplicateWindowMs: 30000,  // ...within this window
+  raidAuthors: 5,            // identical message from N distinct users...
+  raidWindowMs: 30000,       // ...within this window
+  raidAccountAgeMs: 7 * 24 * 60 * 60 * 1000, // accounts younger than this...
+  raidJoinWindowMs: 10 * 60 * 1000,          // ...or members who joined this recently are raid suspects
+  inviteCount: 3,            // invite links from one user...
+  inviteWindowMs: 10 * 60 * 1000,
+  capsRatio: 0.9,
+  capsMinLetters: 20,
+  capsAmbiguousRatio: 0.7,
+  mentionCount: 5
+};
+
+const REPLIES = {
+  spam: 'Easy there — let\'s keep the chat readable for everyone.',
+  scam: 'That link looks like a known scam, so I\'ve removed it.',
+  selfpromo: 'Please go easy on the self-promotion.',
+  raids: 'This looks like part of a coordinated raid.'
+};
+
+function normalize(content) {
+  return (content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function domainMatches(host, list) {
+  host = host.toLowerCase().replace(/^www\./, '');
+  return list.some(d => host === d || host.endsWith('.' + d));
+}
+
+class PreFilter {
+  constructor() {
+    this.userHistory = new Map();   // guildId:userId -> [{ t, norm, invite }]
+    this.contentAuthors = new Map(); // guildId:norm -> Map(userId -> { t, message, suspect, actioned })
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Stateless content checks — shared with the rule-only AI provider.
+   * Returns { verdict: 'violation'|'clean'|'escalate', ruleId?, reason? }
+   */
+  inspectContent(content, rules, settings = {}) {
+    const enabled = new Set(rules.filter(r => r.enabled).map(r => r.id));
+    const text = content || '';
+
+    const hosts = [...text.matchAll(URL_PATTERN)].map(m => m[1]);
+    const allowed = settings.allowedDomains || [];
+    const blocked = [...BLOCKED_DOMAINS, ...(settings.blockedDomains || [])];
+    const suspectHosts = hosts.filter(h => !domainMatches(h, allowed));
+
+    if (enabled.has('scam')) {
+      const bad = suspectHosts.find(h => domainMatches(h, blocked));
+      if (bad) return { verdict: 'violation', ruleId: 'scam', reason: `Blocked domain ${bad}` };
+      const lookalike = suspectHosts.find(h => LOOKALIKE_PATTERN.test(h) && !/^(www\.)?(discord\.(com|gg)|discordapp\.com|steamcommunity\.com)$/i.test(h));
+      if (lookalike) return { verdict: 'violation', ruleId: 'scam', reason: `Lookalike domain ${lookalike}` };
+      if (SCAM_PHRASES.test(text) && suspectHosts.length > 0) {
+        return { verdict: 'violation', ruleId: 'scam', reason: 'Scam phrase with link' };
+      }
+    }
+
+    if (enabled.has('spam')) {
+      const letters = text.replace(/[^a-z]/gi, '');
+      const upper = letters.replace(/[^A-Z]/g, '').length;
+      if (letters.length >= THRESHOLDS.capsMinLetters && upper / letters.length >= THRESHOLDS.capsRatio) {
+        return { verdict: 'violation', ruleId: 'spam', reason: `Excessive caps (${Math.round(upper / letters.length * 100)}%)` };
+      }
+      if (/(.)\1{14,}/.test(text)) {
+        return { verdict: 'violation', ruleId: 'spam', reason: 'Repeated character flood' };
+      }
+      if (letters.length >= 10 && upper / letters.length >= THRESHOLDS.capsAmbiguousRatio) {
+        return { verdict: 'escalate' };
+      }
+    }
+
+    // Anything with a link, invite or scam wording needs a closer look
+    if (hosts.length > 0 || INVITE_PATTERN.test(text) || SCAM_PHRASES.test(text)) {
+      return { verdict: 'escalate' };
+    }
+
+    // No letters at all (emoji, punctuation, numbers) — nothing for the AI to judge
+    if (!/\p{L}/u.test(text)) {
+      return { verdict: 'clean', reason: 'No text content' };
+    }
+
+    return { verdict: 'escalate' };
+  }
+
+  // New accounts and members who only just joined are what raids are made of
+  _isRaidSuspect(message, now) {
+    const created = message.author?.createdTimestamp;
+    const joined = message.member?.joinedTimestamp;
+    return (created > 0 && now - created < THRESHOLDS.raidAccountAgeMs) ||
+      (joined > 0 && now - joined < THRESHOLDS.raidJoinWindowMs);
+  }
+
+  /**
+   * Run all checks on a Discord message. Returns { verdict, analysis?, related?, signals? }
+   * where `analysis` has the same shape as aiEngine.analyzeMessage() results,
+   * `related` lists earlier messages of the same raid that get the same
+   * verdict, and `signals` are hints for the AI on escalated messages.
+   */
+  check(message) {
+    const settings = ConfigManager.getSettings(message.guild?.id);
+    if (settings.preFilterEnabled === false) return { verdict: 'escalate' };
+
+    const rules = rulesForMessage(ConfigManager.getRules(message.guild?.id), message);
+    const enabled = new Set(rules.filter(r => r.enabled).map(r => r.id));
+    const now = Date.now();
+    this._sweep(now);
+
+    const norm = normalize(message.content);
+    const invite = INVITE_PATTERN.test(message.content || '');
+    const userKey = `${message.guild?.id}:${message.author.id}`;
+    const history = (this.userHistory.get(userKey) || []).filter(h => now - h.t < THRESHOLDS.inviteWindowMs);
+    history.push({ t: now, norm, invite });
+    this.userHistory.set(userKey, history);
+
+    let result = null;
+    let related = [];
+    const signals = [];
+
+    // Raids: identical content from many distinct accounts. It's only decided
+    // here when enough of them are new or just joined, and then every one of
+    // those is acted on, not just whoever posted last. Anything else (say a
+    // channel full of regulars posting "gg wp") goes to the AI with the signal.
+    if (enabled.has('raids') && norm.length >= 5) {
+      const contentKey = `${message.guild?.id}:${norm}`;
+      const authors = this.contentAuthors.get(contentKey) || new Map();
+      authors.set(message.author.id, {
+        t: now,
+        message,
+        suspect: this._isRaidSuspect(message, now),
+        actioned: authors.get(message.author.id)?.actioned || false
+      });
+      for (const [id, a] of authors) if (now - a.t >= THRESHOLDS.raidWindowMs) authors.delete(id);
+      this.contentAuthors.set(contentKey, authors);
+
+      if (authors.size >= THRESHOLDS.raidAuthors) {
+        const suspects = [...authors.values()].filter(a => a.suspect);
+        const pattern = `Identical message from ${authors.size} accounts in ${THRESHOLDS.raidWindowMs / 1000}s`;
+        if (suspects.length >= THRESHOLDS.raidAuthors && authors.get(message.author.id).suspect) {
+          result = { ruleId: 'raids', reason: `${pattern}, ${suspects.length} of them new or just joined` };
+          related = suspects.filter(a => a.message !== message && !a.actioned).map(a => a.message);
+          suspects.forEach(a => { a.actioned = true; });
+        } else {
+          signals.push(`${pattern} (${suspects.length} new or just-joined) — possible raid, or just a busy chat`);
+        }
+      }
+    }
+
+    if (!result && enabled.has('spam')) {
+      const recent = history.filter(h => now - h.t < THRESHOLDS.floodWindowMs);
+      const duplicates = history.filter(h => h.norm === norm && now - h.t < THRESHOLDS.duplicateWindowMs);
+      const mentions = (message.mentions?.users?.size || 0) + (message.mentions?.roles?.size || 0);
+
+      if (recent.length >= THRESHOLDS.floodMessages) {
+        result = { ruleId: 'spam', reason: `${recent.length} messages in ${THRESHOLDS.floodWindowMs / 1000}s` };
+      } else if (norm && duplicates.length >= THRESHOLDS.duplicateCount) {
+        result = { ruleId: 'spam', reason: `Same message posted ${duplicates.length} times` };
+      } else if (mentions >= THRESHOLDS.mentionCount) {
+        result = { ruleId: 'spam', reason: `Mention spam (${mentions} mentions)` };
+      }
+    }
+
+    if (!result && enabled.has('selfpromo') && invite) {
+      const invites = history.filter(h => h.invite).length;
+      if (invites >= THRESHOLDS.inviteCount) {
+        result = { ruleId: 'selfpromo', reason: `${invites} invite links in ${THRESHOLDS.inviteWindowMs / 60000} minutes` };
+      }
+    }
+
+    if (!result) {
+      const content = this.inspectContent(message.content, rules, settings);
+      if (content.verdict === 'escalate' || (content.verdict === 'clean' && signals.length > 0)) {
+        return { verdict: 'escalate', signals };
+      }
+      if (content.verdict === 'clean') {
+        return { verdict: 'clean', analysis: this._analysis(false, null, content.reason) };
+      }
+      result = content;
+    }
+
+    return { verdict: 'violation', analysis: this._analysis(true, result.ruleId, result.reason), related };
+  }
+
+  /**
+   * Content checks only — none of the per-user/per-guild rate tracking in
+   * check(), so it can be run on made-up messages (rule playground)
+   */
+  inspectMessage(message) {
+    const settings = ConfigManager.getSettings(message.guild?.id);
+    if (settings.preFilterEnabled === false) return { verdict: 'escalate' };
+
+    const rules = rulesForMessage(ConfigManager.getRules(message.guild?.id), message);
+    const content = this.inspectContent(message.content, rules, settings);
+    if (content.verdict === 'escalate') return { verdict: 'escalate' };
+    return {
+      verdict: content.verdict,
+      analysis: this._analysis(content.verdict === 'violation', content.ruleId, content.reason)
+    };
+  }
+
+  _analysis(flagged, ruleId, reason) {
+    return {
+      flagged,
+      violations: flagged ? [ruleId] : [],
+      confidence: flagged ? 1 : 0,
+      reasoning: `Pre-filter: ${reason}`,
+      suggestedAction: 'none',
+      suggestedDuration: 0,
+      replyMessage: flagged ? REPLIES[ruleId] || null : null,
+      source: 'prefilter'
+    };
+  }
+
+  // Drop stale tracking state so memory stays bounded
+  _sweep(now) {
+    if (now - this.lastSweep < 60000) return;
+    this.lastSweep = now;
+    for (const [key, history] of this.userHistory) {
+      if (!history.some(h => now - h.t < THRESHOLDS.inviteWindowMs)) this.userHistory.delete(key);
+    }
+    for (const [key, authors] of this.contentAuthors) {
+      if (![...authors.values()].some(a => now - a.t < THRESHOLDS.raidWindowMs)) this.contentAuthors.delete(key);
+    }
+  }
+}
+
+module.exports = new PreFilter();
@@ -0,0 +1,29 @@
+const PollinationsProvider = require('./pollinations');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const RuleOnlyProvider = require('./rule-only');
+
+/**
+ * Provider registry. Every provider exposes:
+ *
+ *   complete({ task, messages, jsonMode, timeout, input }) → Promise<string>
+ *
+ * `task` is one of analyze | analyze_batch | purge | summary | reply,
+ * `messages` is the chat-style prompt for LLM backends, and `input` carries
+ * the structured data (content, rules, messages) for non-LLM backends.
+ */
+const PROVIDERS = {
+  pollinations: { name: 'Pollinations', Provider: PollinationsProvider },
+  openai: { name: 'OpenAI-compatible', Provider: OpenAICompatibleProvider },
+  rules: { name: 'Rule-only (offline)', Provider: RuleOnlyProvider }
+};
+
+function createProvider(id, options) {
+  const entry = PROVIDERS[id] || PROVIDERS.pollinations;
+  return new entry.Provider(options);
+}
+
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, p]) => ({ id, name: p.name }));
+}
+
+module.exports = { createProvider, listProviders };
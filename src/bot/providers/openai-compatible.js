@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint — OpenAI itself, or a
+ * local llama.cpp / Ollama / LM Studio server (e.g. http://localhost:11434/v1)
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model }) {
+    if (!baseUrl) throw new Error('OpenAI-compatible provider requires a base URL');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model || 'gpt-4o-mini';
+  }
+
+  async complete({ messages, jsonMode = false, timeout = 30000 }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: 0,
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+    }, { headers, timeout });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Malformed completion response (no choices[0].message.content)');
+    }
+    return content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
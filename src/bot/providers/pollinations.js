@@ -0,0 +1,31 @@
+const axios = require('axios');
+
+/**
+ * Pollinations text API (the original hard-coded backend)
+ */
+class PollinationsProvider {
+  constructor({ apiKey, model }) {
+    this.apiBase = 'https://text.pollinations.ai';
+    this.apiKey = apiKey;
+    this.model = model || 'openai';
+  }
+
+  async complete({ messages, jsonMode = false, timeout = 30000 }) {
+    const response = await axios.post(this.apiBase, {
+      messages,
+      model: this.model,
+      ...(jsonMode ? { jsonMode: true } : {}),
+      seed: Math.floor(Math.random() * 100000)
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout
+    });
+
+    return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  }
+}
+
+module.exports = PollinationsProvider;
@@ -0,0 +1,87 @@
+/**
+ * Deterministic, offline provider — no LLM at all. Runs the pre-filter's
+ * content checks against the enabled rules and answers in the same JSON
+ * shapes the engine expects from a model. Useful for testing and as a
+ * zero-cost fallback; it will miss anything that needs real understanding.
+ */
+
+const preFilter = require('../pre-filter');
+
+// Only definite pre-filter violations count; anything ambiguous is treated as clean
+function matchRules(content, rules, settings) {
+  const result = preFilter.inspectContent(content, rules, settings);
+  return result.verdict === 'violation'
+    ? { violations: [result.ruleId], reasons: [result.reason] }
+    : { violations: [], reasons: [] };
+}
+
+class RuleOnlyProvider {
+  async complete({ task, input = {} }) {
+    switch (task) {
+      case 'analyze': {
+        const { violations, reasons } = matchRules(input.content, input.rules || [], input.settings);
+        return JSON.stringify({
+          flagged: violations.length > 0,
+          violations,
+          confidence: violations.length > 0 ? 1 : 0,
+          reasoning: violations.length > 0 ? `Rule match: ${reasons.join(', ')}` : 'No rule matched',
+          suggestedAction: 'none',
+          suggestedDuration: 0,
+          replyMessage: null
+        });
+      }
+
+      case 'analyze_batch': {
+        const results = (input.messages || []).map((m, index) => {
+          const { violations, reasons } = matchRules(m.content, input.rules || [], input.settings);
+          return {
+            index,
+            flagged: violations.length > 0,
+            violations,
+            confidence: violations.length > 0 ? 1 : 0,
+            reasoning: violations.length > 0 ? `Rule match: ${reasons.join(', ')}` : 'No rule matched',
+            suggestedAction: 'none',
+            suggestedDuration: 0,
+            replyMessage: null
+          };
+        });
+        return JSON.stringify({ results });
+      }
+
+      case 'purge': {
+        const flaggedIndexes = [];
+        const reasons = {};
+        (input.messages || []).forEach((m, i) => {
+          const match = matchRules(m.content, input.rules || [], input.settings);
+          if (match.violations.length > 0) {
+            flaggedIndexes.push(i);
+            reasons[i] = `[${match.violations.join(', ')}] ${match.reasons.join(', ')}`;
+          }
+        });
+        return JSON.stringify({
+          flaggedIndexes,
+          reasons,
+          totalFlagged: flaggedIndexes.length,
+          summary: `Rule-only scan flagged ${flaggedIndexes.length} of ${(input.messages || []).length} messages`
+        });
+      }
+
+      case 'summary': {
+        const messages = input.messages || [];
+        const byAuthor = {};
+        messages.forEach(m => {
+          const name = m.author?.tag || m.author?.username || 'Unknown';
+          byAuthor[name] = (byAuthor[name] || 0) + 1;
+        });
+        const top = Object.entries(byAuthor).sort((a, b) => b[1] - a[1]).slice(0, 5);
+        return `**Overview** — ${messages.length} messages in #${input.channelName || 'unknown'} (rule-only provider, no AI summary available).\n\n` +
+          `**Notable Users**\n${top.map(([name, count]) => `- ${name}: ${count} messages`).join('\n')}`;
+      }
+
+      default:
+        throw new Error(`Rule-only provider cannot handle task "${task}"`);
+    }
+  }
+}
+
+module.exports = RuleOnlyProvider;
@@ -0,0 +1,256 @@
+const aiEngine = require('./ai-engine');
+const ConfigManager = require('../config/config-manager');
+const { readJson, writeJson } = require('../utils/json-store');
+const defaultCorpus = require('../config/default-corpus.json');
+
+const CORPUS_FILE = 'corpus.json';
+const RUNS_FILE = 'corpus-runs.json';
+
+// Keep the last N runs so the dashboard can show a short history
+const MAX_RUNS = 20;
+
+// Example IDs end up in dashboard markup, so keep them to a plain slug
+const EXAMPLE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Labeled regression corpus for the moderation prompt. Each example is
+ * { id, content, labels: [ruleId, ...], context?: [{ author, content }] }
+ * where an empty `labels` list means the message should not be flagged.
+ * A run sends every example through the current prompt and provider and
+ * scores the verdicts per rule against the labels.
+ */
+class RegressionSuite {
+  constructor() {
+    this.corpus = readJson(CORPUS_FILE, JSON.parse(JSON.stringify(defaultCorpus)));
+    this.status = { running: false, done: 0, total: 0 };
+  }
+
+  _saveCorpus() {
+    writeJson(CORPUS_FILE, this.corpus);
+  }
+
+  // Runs aren't cached: the dashboard server and scripts/run-corpus.js both
+  // append to the same file
+  _saveRun(run) {
+    const runs = this.getRuns();
+    runs.push(run);
+    if (runs.length > MAX_RUNS) runs.splice(0, runs.length - MAX_RUNS);
+    writeJson(RUNS_FILE, runs);
+  }
+
+  // ─── Corpus ───────────────────────────────────────────────
+  getExamples() {
+    return this.corpus.examples;
+  }
+
+  /**
+   * Check an example before it's added. Returns a list of problems (empty if
+   * the example is fine).
+   */
+  validateExample(example) {
+    if (!example || typeof example !== 'object') return ['Example must be an object'];
+    const errors = [];
+    if (typeof example.content !== 'string' || !example.content.trim()) errors.push('Message content is required');
+    else if (example.content.length > 4000) errors.push('Message content must be at most 4000 characters');
+    if (!Array.isArray(example.labels)) {
+      errors.push('Labels must be a list of rule IDs (empty for clean messages)');
+    } else {
+      const unknown = example.labels.filter(id => !this._knownRuleIds().has(id));
+      if (unknown.length > 0) errors.push(`Unknown rule ID(s): ${unknown.join(', ')}`);
+    }
+    if (example.id !== undefined && (typeof example.id !== 'string' || !EXAMPLE_ID_PATTERN.test(example.id))) {
+      errors.push('ID must be 1-64 letters, numbers, "-" or "_"');
+    } else if (example.id !== undefined && this.corpus.examples.some(e => e.id === example.id)) {
+      errors.push(`An example with ID "${example.id}" already exists`);
+    }
+    return errors;
+  }
+
+  _knownRuleIds() {
+    const guildRules = ConfigManager.listGuildProfiles()
+      .flatMap(guildId => ConfigManager.getGuildOverrides(guildId).customRules);
+    return new Set([...ConfigManager.getRules(), ...guildRules].map(r => r.id));
+  }
+
+  /**
+   * Add a labeled example. Call validateExample first.
+   */
+  addExample(example) {
+    const created = {
+      id: example.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      content: example.content.trim(),
+      labels: [...new Set(example.labels)]
+    };
+    if (Array.isArray(example.context) && example.context.length > 0) created.context = example.context;
+    if (example.note) created.note = String(example.note);
+
+    this.corpus.examples.push(created);
+    this._saveCorpus();
+    return created;
+  }
+
+  /**
+   * @returns {boolean} whether an example was removed
+   */
+  deleteExample(id) {
+    const idx = this.corpus.examples.findIndex(e => e.id === id);
+    if (idx === -1) return false;
+    this.corpus.examples.splice(idx, 1);
+    this._saveCorpus();
+    return true;
+  }
+
+  // ─── Runs ─────────────────────────────────────────────────
+  getRuns() {
+    return readJson(RUNS_FILE, []);
+  }
+
+  /**
+   * Most recent run over the same examples (same guild and rule filter), so
+   * diffs compare like with like
+   */
+  getLastRun(options = {}) {
+    const matches = r => (r.guildId || null) === (options.guildId || null) && (r.ruleId || null) === (options.ruleId || null);
+    return this.getRuns().reverse().find(matches) || null;
+  }
+
+  /**
+   * Run the corpus against the current prompt and provider
+   * @param {{ guildId?: string, ruleId?: string, onProgress?: (done, total) => void }} options
+   *   `guildId` uses that guild's profile (rules, style, provider); `ruleId`
+   *   limits the run to examples labeled with that rule plus the clean ones
+   */
+  async run(options = {}) {
+    if (this.status.running) throw new Error('A corpus run is already in progress');
+
+    const examples = this.corpus.examples
+      .filter(e => !options.ruleId || e.labels.length === 0 || e.labels.includes(options.ruleId));
+    if (examples.length === 0) throw new Error('No corpus examples to run');
+
+    const settings = ConfigManager.getSettings(options.guildId);
+    const provider = settings.aiProvider || 'pollinations';
+    const started = Date.now();
+    this.status = { running: true, done: 0, total: examples.length };
+
+    const results = [];
+    try {
+      for (const example of examples) {
+        results.push(await this._runExample(example, options.guildId));
+        this.status.done++;
+        if (options.onProgress) options.onProgress(this.status.done, examples.length);
+      }
+    } finally {
+      this.status = { running: false, done: 0, total: 0 };
+    }
+
+    const previous = this.getLastRun(options);
+    const run = {
+      id: started.toString(36),
+      timestamp: new Date(started).toISOString(),
+      durationMs: Date.now() - started,
+      guildId: options.guildId || null,
+      ruleId: options.ruleId || null,
+      provider,
+      model: provider === 'rules' ? null : settings.aiModel || null,
+      moderationStyle: settings.moderationStyle || 'balanced',
+      results,
+      metrics: this._score(results)
+    };
+    run.diff = previous ? this._diff(previous, run) : null;
+
+    this._saveRun(run);
+    return run;
+  }
+
+  async _runExample(example, guildId) {
+    const message = {
+      content: example.content,
+      guild: { id: guildId || null, name: 'Corpus' },
+      channel: { id: 'corpus', name: 'general', parentId: null },
+      author: { id: '0', username: 'CorpusUser' },
+      member: { roles: { cache: new Map() } }
+    };
+
+    const { verdict, error } = await aiEngine.testMessage(message, example.context || []);
+    const expected = [...example.labels].sort();
+    const predicted = [...(verdict.violations || [])].sort();
+    return {
+      id: example.id,
+      content: example.content,
+      expected,
+      predicted,
+      belowThreshold: verdict.belowThreshold || [],
+      confidence: verdict.confidence || 0,
+      reasoning: verdict.reasoning || '',
+      correct: !error && expected.join(',') === predicted.join(','),
+      error: error || null
+    };
+  }
+
+  /**
+   * Precision/recall per rule, plus overall exact-match accuracy
+   */
+  _score(results) {
+    const byRule = {};
+    const tally = id => (byRule[id] = byRule[id] || { tp: 0, fp: 0, fn: 0 });
+
+    for (const r of results) {
+      if (r.error) continue;
+      for (const id of r.predicted) tally(id)[r.expected.includes(id) ? 'tp' : 'fp']++;
+      for (const id of r.expected) if (!r.predicted.includes(id)) tally(id).fn++;
+    }
+
+    for (const counts of Object.values(byRule)) {
+      counts.precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : null;
+      counts.recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : null;
+    }
+
+    const scored = results.filter(r => !r.error);
+    return {
+      total: results.length,
+      correct: results.filter(r => r.correct).length,
+      errors: results.length - scored.length,
+      falsePositives: scored.filter(r => r.expected.length === 0 && r.predicted.length > 0).length,
+      accuracy: scored.length > 0 ? results.filter(r => r.correct).length / scored.length : null,
+      byRule
+    };
+  }
+
+  /**
+   * What changed since `previous`: examples whose verdict flipped and how each
+   * rule's precision/recall moved
+   */
+  _diff(previous, run) {
+    const before = new Map(previous.results.map(r => [r.id, r]));
+    const changed = run.results
+      .filter(r => before.has(r.id) && before.get(r.id).predicted.join(',') !== r.predicted.join(','))
+      .map(r => ({
+        id: r.id,
+        expected: r.expected,
+        before: before.get(r.id).predicted,
+        after: r.predicted,
+        fixed: r.correct && !before.get(r.id).correct,
+        broke: !r.correct && before.get(r.id).correct
+      }));
+
+    const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : b - a);
+    const rules = new Set([...Object.keys(previous.metrics.byRule), ...Object.keys(run.metrics.byRule)]);
+    const byRule = {};
+    for (const id of rules) {
+      const a = previous.metrics.byRule[id] || {};
+      const b = run.metrics.byRule[id] || {};
+      byRule[id] = { precision: delta(a.precision, b.precision), recall: delta(a.recall, b.recall) };
+    }
+
+    return {
+      previousRunId: previous.id,
+      previousTimestamp: previous.timestamp,
+      accuracy: delta(previous.metrics.accuracy, run.metrics.accuracy),
+      changed,
+      added: run.results.filter(r => !before.has(r.id)).map(r => r.id),
+      byRule
+    };
+  }
+}
+
+module.exports = new RegressionSuite();
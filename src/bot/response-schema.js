@@ -0,0 +1,188 @@
+/**
+ * Strict validation for JSON coming back from the AI provider. Each validator
+ * returns { value, errors } — `value` is the normalized object and is only
+ * safe to use when `errors` is empty.
+ */
+
+const ACTIONS = ['none', 'warn', 'timeout', 'kick', 'request_ban'];
+
+// Discord's maximum timeout is 28 days
+const MAX_DURATION = 28 * 24 * 60 * 60;
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Pull a JSON object out of raw model text (which may be wrapped in prose or
+ * code fences). Throws if there's nothing parseable.
+ */
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('Empty AI response');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('No JSON found in AI response');
+    return JSON.parse(match[0]);
+  }
+}
+
+function validateVerdict(raw, ruleIds, path = '') {
+  const errors = [];
+  const at = (field) => `"${path}${field}"`;
+
+  if (!isObject(raw)) return { value: null, errors: [`${path ? path.slice(0, -1) : 'response'} must be a JSON object`] };
+
+  if (typeof raw.flagged !== 'boolean') errors.push(`${at('flagged')} must be true or false`);
+
+  if (typeof raw.confidence !== 'number' || !Number.isFinite(raw.confidence) || raw.confidence < 0 || raw.confidence > 1) {
+    errors.push(`${at('confidence')} must be a number between 0.0 and 1.0`);
+  }
+
+  let violations = [];
+  if (!Array.isArray(raw.violations)) {
+    errors.push(`${at('violations')} must be an array of rule IDs`);
+  } else {
+    violations = [...new Set(raw.violations)];
+    const unknown = violations.filter(v => !ruleIds.includes(v));
+    if (unknown.length > 0) {
+      errors.push(`${at('violations')} contains unknown rule IDs (${unknown.join(', ')}); valid IDs are: ${ruleIds.join(', ')}`);
+    }
+    if (raw.flagged === true && violations.length === 0) {
+      errors.push(`${at('violations')} must list at least one rule ID when flagged is true`);
+    }
+  }
+
+  const ruleConfidence = {};
+  if (raw.ruleConfidence !== undefined && raw.ruleConfidence !== null) {
+    if (!isObject(raw.ruleConfidence)) {
+      errors.push(`${at('ruleConfidence')} must be an object mapping rule IDs to confidence`);
+    } else {
+      for (const [id, c] of Object.entries(raw.ruleConfidence)) {
+        if (!violations.includes(id)) {
+          errors.push(`${at('ruleConfidence')} has "${id}", which is not listed in violations`);
+        } else if (typeof c !== 'number' || !Number.isFinite(c) || c < 0 || c > 1) {
+          errors.push(`${at(`ruleConfidence.${id}`)} must be a number between 0.0 and 1.0`);
+        } else {
+          ruleConfidence[id] = c;
+        }
+      }
+    }
+  }
+
+  if (raw.suggestedAction !== undefined && raw.suggestedAction !== null && !ACTIONS.includes(raw.suggestedAction)) {
+    errors.push(`${at('suggestedAction')} must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const duration = raw.suggestedDuration;
+  if (duration !== undefined && duration !== null &&
+      (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 || duration > MAX_DURATION)) {
+    errors.push(`${at('suggestedDuration')} must be a number of seconds between 0 and ${MAX_DURATION}`);
+  }
+
+  if (raw.reasoning !== undefined && raw.reasoning !== null && typeof raw.reasoning !== 'string') {
+    errors.push(`${at('reasoning')} must be a string`);
+  }
+
+  if (raw.replyMessage !== undefined && raw.replyMessage !== null && typeof raw.replyMessage !== 'string') {
+    errors.push(`${at('replyMessage')} must be a string or null`);
+  }
+
+  return {
+    value: {
+      flagged: raw.flagged === true,
+      violations,
+      confidence: typeof raw.confidence === 'number' ? raw.confidence : 0,
+      ruleConfidence,
+      reasoning: (typeof raw.reasoning === 'string' && raw.reasoning.trim()) || 'No reasoning provided',
+      suggestedAction: raw.suggestedAction || 'none',
+      suggestedDuration: Math.round(duration || 0),
+      replyMessage: (typeof raw.replyMessage === 'string' && raw.replyMessage.trim().substring(0, 1500)) || null
+    },
+    errors
+  };
+}
+
+/**
+ * Batch verdicts: { results: [{ index, ...verdict }] } with exactly one
+ * result for every index in [0, count)
+ */
+function validateBatch(raw, count, ruleIds) {
+  if (!isObject(raw) || !Array.isArray(raw.results)) {
+    return { value: null, errors: ['response must be a JSON object with a "results" array'] };
+  }
+
+  const errors = [];
+  const value = new Array(count).fill(null);
+
+  raw.results.forEach((r, i) => {
+    if (!isObject(r) || !Number.isInteger(r.index) || r.index < 0 || r.index >= count) {
+      errors.push(`results[${i}].index must be an integer between 0 and ${count - 1}`);
+      return;
+    }
+    if (value[r.index]) {
+      errors.push(`results contains index ${r.index} more than once`);
+      return;
+    }
+    const verdict = validateVerdict(r, ruleIds, `results[${i}].`);
+    errors.push(...verdict.errors);
+    value[r.index] = verdict.value;
+  });
+
+  const missing = value.map((v, i) => (v ? null : i)).filter(i => i !== null);
+  if (missing.length > 0) errors.push(`results is missing indexes: ${missing.join(', ')}`);
+
+  return { value, errors };
+}
+
+/**
+ * Purge scan: { flaggedIndexes, reasons, totalFlagged, summary } with every
+ * index inside the scanned message range
+ */
+function validatePurge(raw, count) {
+  if (!isObject(raw)) return { value: null, errors: ['response must be a JSON object'] };
+
+  const errors = [];
+  let flaggedIndexes = [];
+
+  if (!Array.isArray(raw.flaggedIndexes)) {
+    errors.push('"flaggedIndexes" must be an array of message indexes');
+  } else {
+    flaggedIndexes = [...new Set(raw.flaggedIndexes)];
+    const bad = flaggedIndexes.filter(i => !Number.isInteger(i) || i < 0 || i >= count);
+    if (bad.length > 0) errors.push(`"flaggedIndexes" must only contain integers between 0 and ${count - 1} (got ${bad.join(', ')})`);
+  }
+
+  const reasons = {};
+  if (raw.reasons !== undefined && !isObject(raw.reasons)) {
+    errors.push('"reasons" must be an object keyed by message index');
+  } else {
+    for (const [key, reason] of Object.entries(raw.reasons || {})) {
+      const idx = Number(key);
+      if (!Number.isInteger(idx) || idx < 0 || idx >= count) {
+        errors.push(`"reasons" has out-of-range index "${key}"`);
+      } else if (typeof reason !== 'string') {
+        errors.push(`"reasons.${key}" must be a string`);
+      } else if (flaggedIndexes.includes(idx)) {
+        reasons[idx] = reason;
+      }
+    }
+  }
+
+  if (raw.summary !== undefined && typeof raw.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  }
+
+  return {
+    value: {
+      flaggedIndexes,
+      reasons,
+      totalFlagged: flaggedIndexes.length,
+      summary: (typeof raw.summary === 'string' && raw.summary) || 'Purge scan complete'
+    },
+    errors
+  };
+}
+
+module.exports = { ACTIONS, extractJson, validateVerdict, validateBatch, validatePurge };
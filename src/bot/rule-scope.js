@@ -0,0 +1,74 @@
+/**
+ * Per-rule channel/role scoping. A rule may carry an optional `scope`:
+ *
+ *   {
+ *     includeChannels: [],  // only apply in these channels/categories
+ *     excludeChannels: [],  // never apply in these channels/categories
+ *     includeRoles: [],     // only apply to members with one of these roles
+ *     excludeRoles: []      // never apply to members with one of these roles
+ *   }
+ *
+ * Channel lists accept channel, thread-parent or category IDs. Empty or
+ * missing lists don't restrict anything.
+ */
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * IDs a channel can be matched by: itself, its parent (category, or the
+ * channel a thread lives in) and, for threads, the parent's category
+ */
+function channelIdsFor(channel) {
+  return [channel?.id, channel?.parentId, channel?.parent?.parentId].filter(Boolean);
+}
+
+/**
+ * Where a message was sent and who sent it. `roleIds` is null when the
+ * author's roles aren't known (no member, e.g. a webhook, or scoping a whole
+ * channel), which skips role checks; an empty list means a member with no roles.
+ */
+function messageContext(message) {
+  const roles = message.member?.roles?.cache;
+  return {
+    channelIds: channelIdsFor(message.channel),
+    roleIds: roles ? [...roles.keys()] : null
+  };
+}
+
+function appliesTo(rule, context) {
+  const scope = rule.scope || {};
+  const inChannel = ids => ids.some(id => context.channelIds.includes(id));
+
+  const includeChannels = list(scope.includeChannels);
+  if (includeChannels.length > 0 && !inChannel(includeChannels)) return false;
+  if (inChannel(list(scope.excludeChannels))) return false;
+
+  if (context.roleIds) {
+    const hasRole = ids => ids.some(id => context.roleIds.includes(id));
+    const includeRoles = list(scope.includeRoles);
+    if (includeRoles.length > 0 && !hasRole(includeRoles)) return false;
+    if (hasRole(list(scope.excludeRoles))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * The rules that apply to a message's channel and author
+ */
+function rulesForMessage(rules, message) {
+  const context = messageContext(message);
+  return rules.filter(r => appliesTo(r, context));
+}
+
+/**
+ * The rules that apply somewhere in a channel (role restrictions ignored)
+ */
+function rulesForChannel(rules, channel) {
+  const context = { channelIds: channelIdsFor(channel), roleIds: null };
+  return rules.filter(r => appliesTo(r, context));
+}
+
+module.exports = { appliesTo, rulesForMessage, rulesForChannel };
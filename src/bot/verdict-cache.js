@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const ConfigManager = require('../config/config-manager');
+
+const MAX_ENTRIES = 5000;
+
+// Zero-width and invisible formatting characters used to dodge exact matching
+const INVISIBLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF]/g;
+
+// Common Cyrillic / Greek lookalikes → Latin (applied after NFKC + lowercasing)
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i',
+  'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's',
+  'т': 't', 'ц': 'u', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y', 'з': '3',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+const HOMOGLYPH_PATTERN = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+
+/**
+ * Normalize message text so trivially varied copies hash the same:
+ * compatibility forms (fullwidth, 𝐛𝐨𝐥𝐝, etc.), case, invisible characters,
+ * homoglyphs, combining marks, whitespace and repeated punctuation.
+ */
+function normalizeContent(content) {
+  return (content || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(INVISIBLE, '')
+    .replace(HOMOGLYPH_PATTERN, ch => HOMOGLYPHS[ch])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/([!?.,~*_-])\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * TTL cache of AI verdicts keyed by guild + normalized content + the rule
+ * set and thresholds they were judged against (so editing rules invalidates
+ * old verdicts)
+ */
+class VerdictCache {
+  constructor() {
+    this.entries = new Map(); // key -> { result, expiresAt }
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  _ttlMs(guildId) {
+    const seconds = Number(ConfigManager.getSettings(guildId).verdictCacheTtlSeconds);
+    return seconds > 0 ? seconds * 1000 : 0;
+  }
+
+  _key(guildId, content, rules) {
+    const settings = ConfigManager.getSettings(guildId);
+    const ruleFingerprint = hash(JSON.stringify([
+      // Cached results are already filtered by each rule's threshold
+      rules.filter(r => r.enabled).map(r => [r.id, r.aiPrompt, r.severity, r.action, r.examples, ConfigManager.getThreshold(r, guildId)]),
+      settings.moderationStyle,
+      settings.moderationStyle === 'custom' ? settings.customStyle : null
+    ]));
+    return `${guildId}:${ruleFingerprint}:${hash(normalizeContent(content))}`;
+  }
+
+  get(guildId, content, rules) {
+    if (!this._ttlMs(guildId) || !normalizeContent(content)) return null;
+
+    const key = this._key(guildId, content, rules);
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return { ...entry.result, cached: true };
+  }
+
+  set(guildId, content, rules, result) {
+    const ttl = this._ttlMs(guildId);
+    if (!ttl || !normalizeContent(content)) return;
+
+    const key = this._key(guildId, content, rules);
+    this.entries.delete(key);
+    this.entries.set(key, { result: { ...result }, expiresAt: Date.now() + ttl });
+
+    // Evict oldest insertions beyond the cap
+    while (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return { size: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = new VerdictCache();
+module.exports.normalizeContent = normalizeContent;
@@ -0,0 +1,126 @@
+const ConfigManager = require('../config/config-manager');
+const { readJson, writeJson } = require('../utils/json-store');
+
+const LEDGER_FILE = 'warnings.json';
+
+// Keep at most this many warnings per user (active + expired history)
+const MAX_HISTORY = 100;
+
+/**
+ * Persistent warning ledger, scoped per guild + user.
+ * Shape on disk: { [guildId]: { [userId]: [warning, ...] } }
+ */
+class WarningLedger {
+  constructor() {
+    this.warnings = readJson(LEDGER_FILE, {});
+  }
+
+  _save() {
+    writeJson(LEDGER_FILE, this.warnings);
+  }
+
+  _decayMs(guildId) {
+    const days = Number(ConfigManager.getSettings(guildId).warningDecayDays);
+    // 0 (or unset/invalid) means warnings never expire
+    return days > 0 ? days * 24 * 60 * 60 * 1000 : 0;
+  }
+
+  _isActive(warning, guildId, now = Date.now()) {
+    const decay = this._decayMs(guildId);
+    if (!decay) return true;
+    return now - new Date(warning.timestamp).getTime() < decay;
+  }
+
+  /**
+   * Record a warning
+   * @param {string} guildId
+   * @param {string} userId
+   * @param {{ ruleId?: string, reason: string, moderator: { type: 'ai'|'human', id?: string, tag?: string } }} data
+   */
+  add(guildId, userId, data) {
+    if (!this.warnings[guildId]) this.warnings[guildId] = {};
+    if (!this.warnings[guildId][userId]) this.warnings[guildId][userId] = [];
+
+    const warning = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      ruleId: data.ruleId || null,
+      reason: data.reason || 'No reason provided',
+      moderator: data.moderator || { type: 'ai' },
+      timestamp: new Date().toISOString()
+    };
+
+    const list = this.warnings[guildId][userId];
+    list.push(warning);
+    if (list.length > MAX_HISTORY) list.splice(0, list.length - MAX_HISTORY);
+
+    this._save();
+    return warning;
+  }
+
+  /**
+   * Full warning history for a user in a guild, each entry tagged with `active`
+   */
+  getHistory(guildId, userId) {
+    const now = Date.now();
+    const list = this.warnings[guildId]?.[userId] || [];
+    return list.map(w => ({ ...w, active: this._isActive(w, guildId, now) }));
+  }
+
+  /**
+   * Warnings that haven't decayed yet
+   */
+  getActive(guildId, userId) {
+    return this.getHistory(guildId, userId).filter(w => w.active);
+  }
+
+  /**
+   * Active warnings for a user across every guild, tagged with guildId
+   */
+  getActiveForUser(userId) {
+    return Object.keys(this.warnings).flatMap(guildId =>
+      this.getActive(guildId, userId).map(w => ({ ...w, guildId }))
+    );
+  }
+
+  getCount(guildId, userId) {
+    return this.getActive(guildId, userId).length;
+  }
+
+  /**
+   * Remove a single warning (e.g. one a moderator marked as a false positive)
+   * @returns {boolean} whether a warning was removed
+   */
+  remove(guildId, userId, warningId) {
+    const list = this.warnings[guildId]?.[userId];
+    const idx = (list || []).findIndex(w => w.id === warningId);
+    if (idx === -1) return false;
+    list.splice(idx, 1);
+    this._save();
+    return true;
+  }
+
+  clear(guildId, userId) {
+    if (!this.warnings[guildId]?.[userId]) return;
+    delete this.warnings[guildId][userId];
+    this._save();
+  }
+
+  /**
+   * Active warning totals for a guild (used by /status)
+   */
+  getGuildStats(guildId) {
+    const users = this.warnings[guildId] || {};
+    let activeWarnings = 0;
+    let warnedUsers = 0;
+    for (const userId of Object.keys(users)) {
+      const count = this.getCount(guildId, userId);
+      if (count > 0) {
+        activeWarnings += count;
+        warnedUsers++;
+      }
+    }
+    return { activeWarnings, warnedUsers };
+  }
+}
+
+module.exports = new WarningLedger();
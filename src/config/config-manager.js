@@ -2,6 +2,28 @@ const path = require('path');
 const fs = require('fs');
 
 const defaultRules = require('./default-rules.json');
+const moderationStyles = require('./moderation-styles.json');
+
+// Used for rules saved before per-rule thresholds existed
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+const ESCALATION_ACTIONS = ['warn', 'timeout', 'kick', 'request_ban'];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Severities whose ladders moderation styles leave alone
+const SEVERE = ['high', 'critical'];
+
+// Lowercase slug, also used as the label the AI reports violations with
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+
+// Process-wide settings that a guild profile can't override
+const GLOBAL_ONLY_SETTINGS = ['aiMaxConcurrent', 'aiQueueLimit', 'aiQueuePolicy'];
+
+// Few-shot examples are short chat messages; cap them so one rule can't
+// crowd the others out of the prompt
+const MAX_EXAMPLES_PER_KIND = 20;
+const MAX_EXAMPLE_LENGTH = 300;
 
 // ─── JSON File Storage (replaces electron-store) ────────────
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
@@ -16,6 +38,7 @@ function getDefaults() {
   return {
     rules: JSON.parse(JSON.stringify(defaultRules.moderationRules)),
     settings: JSON.parse(JSON.stringify(defaultRules.globalSettings)),
+    guilds: {},
     botToken: process.env.BOT_TOKEN || '',
     pollinationsKey: process.env.POLLINATIONS_KEY || 'pk_74dZ9pYlU7ufjX7O'
   };
@@ -31,6 +54,7 @@ function loadConfig() {
       return {
         rules: saved.rules || defaults.rules,
         settings: { ...defaults.settings, ...saved.settings },
+        guilds: saved.guilds || {},
         botToken: saved.botToken || defaults.botToken,
         pollinationsKey: saved.pollinationsKey || defaults.pollinationsKey
       };
@@ -51,22 +75,324 @@ function saveConfig() {
 
 let config = loadConfig();
 
+/**
+ * Normalize a rule's few-shot examples to
+ * { positive: [messages that break the rule], negative: [messages that don't] }
+ */
+function cleanExamples(examples) {
+  const clean = list => (Array.isArray(list) ? list : [])
+    .map(e => String(e).trim().substring(0, MAX_EXAMPLE_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_EXAMPLES_PER_KIND);
+  return { positive: clean(examples?.positive), negative: clean(examples?.negative) };
+}
+
 class ConfigManager {
-  static getRules() {
-    return config.rules;
+  // ─── Guild Profiles ───────────────────────────────────────
+  // A guild profile stores only what differs from the global config:
+  //   guilds[guildId] = {
+  //     settings: { ...overrides },
+  //     rules: { ruleId: { ...overrides } },
+  //     customRules: [ rules that only exist in this guild ]
+  //   }
+  // Anything not overridden is inherited from the global rules/settings.
+
+  static _guildProfile(guildId, create = false) {
+    if (!guildId) return null;
+    if (!config.guilds[guildId] && create) config.guilds[guildId] = { settings: {}, rules: {}, customRules: [] };
+    const profile = config.guilds[guildId];
+    if (profile && !profile.customRules) profile.customRules = [];
+    return profile || null;
   }
 
-  static setRules(rules) {
+  // Keep only the values that differ from `base`, so matching the global
+  // value again means "inherit"
+  static _diff(base, values) {
+    return Object.fromEntries(Object.entries(values)
+      .filter(([key, value]) => key !== 'id' && JSON.stringify(value) !== JSON.stringify(base[key])));
+  }
+
+  static getGuildOverrides(guildId) {
+    const profile = this._guildProfile(guildId);
+    return {
+      settings: { ...profile?.settings },
+      rules: { ...profile?.rules },
+      customRules: [...(profile?.customRules || [])]
+    };
+  }
+
+  static listGuildProfiles() {
+    return Object.keys(config.guilds);
+  }
+
+  /**
+   * Drop a guild's overrides so it inherits the global config again
+   * @param {'rules'|'settings'} [part] - only reset one half of the profile
+   */
+  static resetGuild(guildId, part) {
+    const profile = this._guildProfile(guildId);
+    if (!profile) return;
+    if (part) profile[part] = {};
+    const empty = Object.keys(profile.settings).length === 0 &&
+      Object.keys(profile.rules).length === 0 &&
+      profile.customRules.length === 0;
+    if (!part || empty) {
+      delete config.guilds[guildId];
+    }
+    saveConfig();
+  }
+
+  // ─── Rules ────────────────────────────────────────────────
+  static getRules(guildId) {
+    const profile = this._guildProfile(guildId);
+    if (!profile) return config.rules;
+    const overrides = profile.rules;
+    return [
+      ...config.rules.map(r => (overrides[r.id] ? { ...r, ...overrides[r.id], id: r.id } : r)),
+      ...profile.customRules
+    ];
+  }
+
+  /**
+   * Replace the rule list. Call validateRules first.
+   */
+  static setRules(rules, guildId) {
+    if (guildId) {
+      const profile = this._guildProfile(guildId, true);
+      profile.rules = {};
+      profile.customRules = [];
+      for (const rule of rules) {
+        const base = config.rules.find(r => r.id === rule.id);
+        if (!base) {
+          profile.customRules.push({ ...rule, custom: true });
+          continue;
+        }
+        const diff = this._diff(base, rule);
+        if (Object.keys(diff).length > 0) profile.rules[rule.id] = diff;
+      }
+      saveConfig();
+      return;
+    }
     config.rules = rules;
     saveConfig();
   }
 
-  static getRule(ruleId) {
-    const rules = this.getRules();
+  static getRule(ruleId, guildId) {
+    const rules = this.getRules(guildId);
     return rules.find(r => r.id === ruleId);
   }
 
-  static updateRule(ruleId, updates) {
+  /**
+   * The confidence threshold saved on a rule
+   */
+  static getMinConfidence(rule) {
+    const value = Number(rule?.minConfidence);
+    return value > 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+  }
+
+  /**
+   * Confidence a violation of this rule needs before ColorGG acts on it in a
+   * guild: the rule's own threshold, moved by the moderation style
+   */
+  static getThreshold(rule, guildId) {
+    const value = this.getMinConfidence(rule) + this.getStyle(guildId).confidenceOffset;
+    return Math.round(Math.min(Math.max(value, 0.05), 1) * 100) / 100;
+  }
+
+  /**
+   * Ordered escalation ladder for a rule in a guild. `warningsBeforeAction`
+   * sets how many warnings a default low or medium rule gives before its
+   * first harsher step. Ladders an admin edited, custom rules' ladders and
+   * high or critical rules are used exactly as saved, so a lenient guild
+   * still bans for a first threat.
+   */
+  static getEscalation(rule, guildId) {
+    const warnings = this.getStyle(guildId).warningsBeforeAction;
+    const ladder = this._ruleLadder(rule, warnings);
+    if (SEVERE.includes(rule?.severity) || !this._isDefaultLadder(rule)) return ladder;
+    return this._withWarnings(ladder, warnings);
+  }
+
+  // Whether a rule still has the ladder it shipped with
+  static _isDefaultLadder(rule) {
+    const shipped = defaultRules.moderationRules.find(r => r.id === rule?.id);
+    if (!shipped) return false;
+    return JSON.stringify(this._ruleLadder(rule)) === JSON.stringify(this._ruleLadder(shipped));
+  }
+
+  /**
+   * Replace the warnings a ladder opens with by `warningsBeforeAction`.
+   * Ladders that start with a harsher step, or are nothing but warnings, are
+   * left as they are.
+   */
+  static _withWarnings(ladder, warningsBeforeAction) {
+    const leading = ladder.findIndex(step => step.action !== 'warn');
+    if (leading <= 0) return ladder;
+    return [...Array(warningsBeforeAction).fill({ action: 'warn', duration: 0 }), ...ladder.slice(leading)];
+  }
+
+  /**
+   * The ladder saved on a rule. Rules saved before ladders existed get one
+   * built from their single `action` and `warningsBeforeAction`.
+   */
+  static _ruleLadder(rule, warningsBeforeAction = 2) {
+    const steps = (Array.isArray(rule?.escalation) ? rule.escalation : [])
+      .filter(step => step && ESCALATION_ACTIONS.includes(step.action))
+      .map(step => ({
+        action: step.action,
+        duration: step.action === 'timeout' ? Math.max(parseInt(step.duration) || rule.timeoutDuration || 300, 1) : 0
+      }));
+    if (steps.length > 0) return steps;
+
+    const action = ESCALATION_ACTIONS.includes(rule?.action) ? rule.action : 'warn';
+    const duration = rule?.timeoutDuration || 300;
+    if (action === 'timeout') {
+      return [...Array(warningsBeforeAction).fill({ action: 'warn', duration: 0 }), { action, duration }];
+    }
+    return [{ action, duration: 0 }];
+  }
+
+  /**
+   * Check a new rule before it's added. Returns a list of problems (empty if
+   * the rule is fine). IDs must be unique across the global rules and every
+   * guild's own rules, since the AI reports violations by ID. Pass
+   * `{ unique: false }` to check only the fields, for rules that replace
+   * existing ones.
+   */
+  static validateRule(rule, options = {}) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['Rule must be an object'];
+
+    if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+      errors.push('ID must be 2-32 characters of lowercase letters, numbers, "-" or "_"');
+    } else if (options.unique !== false &&
+               (config.rules.some(r => r.id === rule.id) || this._customRuleGuilds(rule.id).length > 0)) {
+      errors.push(`A rule with ID "${rule.id}" already exists`);
+    }
+    if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('Name is required');
+    if (typeof rule.aiPrompt !== 'string' || !rule.aiPrompt.trim()) errors.push('AI prompt is required');
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      errors.push(`Severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check a full rule list before setRules replaces the global rules (or a
+   * guild's overrides and own rules) with it. Every rule gets validateRule;
+   * IDs must be unique within the list and can't clash with another guild's
+   * own rules (or, for the global list, with any guild's own rules).
+   */
+  static validateRules(rules, guildId) {
+    if (!Array.isArray(rules)) return ['Expected an array of rules'];
+    const errors = [];
+    const seen = new Set();
+    rules.forEach((rule, i) => {
+      const problems = this.validateRule(rule, { unique: false });
+      if (problems.length === 0) {
+        const isBase = guildId && config.rules.some(r => r.id === rule.id);
+        if (seen.has(rule.id)) {
+          problems.push(`ID "${rule.id}" is used more than once`);
+        } else if (!isBase && this._customRuleGuilds(rule.id).some(id => id !== guildId)) {
+          problems.push(`A rule with ID "${rule.id}" already exists on another server`);
+        }
+        seen.add(rule.id);
+      }
+      const label = typeof rule?.id === 'string' && rule.id ? `"${rule.id}"` : `#${i + 1}`;
+      problems.forEach(problem => errors.push(`Rule ${label}: ${problem}`));
+    });
+    return errors;
+  }
+
+  /**
+   * Check an update before updateRule applies it, against the rule it would
+   * produce. Returns null if there's no such rule.
+   */
+  static validateRuleUpdate(ruleId, updates, guildId) {
+    const current = this.getRule(ruleId, guildId);
+    if (!current) return null;
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return ['Updates must be an object'];
+    return this.validateRule({ ...current, ...updates, id: current.id }, { unique: false });
+  }
+
+  // Guilds that have their own rule with this ID
+  static _customRuleGuilds(ruleId) {
+    return Object.entries(config.guilds)
+      .filter(([, g]) => (g.customRules || []).some(r => r.id === ruleId))
+      .map(([guildId]) => guildId);
+  }
+
+  /**
+   * Add a custom rule, globally or only for one guild. Call validateRule first.
+   */
+  static addRule(rule, guildId) {
+    const escalation = this._ruleLadder({ escalation: rule.escalation, action: rule.action || 'warn', timeoutDuration: rule.timeoutDuration });
+    const created = {
+      id: rule.id,
+      name: rule.name.trim(),
+      enabled: rule.enabled !== false,
+      severity: rule.severity || 'medium',
+      description: (rule.description || '').trim(),
+      action: escalation[escalation.length - 1].action,
+      timeoutDuration: parseInt(rule.timeoutDuration) || 0,
+      escalation: escalation.map(step => (step.action === 'timeout' ? step : { action: step.action })),
+      escalationScope: rule.escalationScope === 'severity' ? 'severity' : 'rule',
+      minConfidence: this.getMinConfidence(rule),
+      aiPrompt: rule.aiPrompt.trim(),
+      examples: cleanExamples(rule.examples),
+      custom: true
+    };
+
+    if (guildId) {
+      this._guildProfile(guildId, true).customRules.push(created);
+    } else {
+      config.rules.push(created);
+    }
+    saveConfig();
+    return created;
+  }
+
+  /**
+   * Delete a custom rule. Built-in rules can only be disabled.
+   * @returns {boolean} whether a rule was removed
+   */
+  static deleteRule(ruleId, guildId) {
+    const list = guildId ? this._guildProfile(guildId)?.customRules : config.rules;
+    const idx = (list || []).findIndex(r => r.id === ruleId && r.custom);
+    if (idx === -1) return false;
+
+    list.splice(idx, 1);
+    if (!guildId) {
+      for (const profile of Object.values(config.guilds)) delete profile.rules?.[ruleId];
+    }
+    saveConfig();
+    return true;
+  }
+
+  /**
+   * Change one rule. Call validateRuleUpdate first.
+   */
+  static updateRule(ruleId, updates, guildId) {
+    if (updates.examples) updates = { ...updates, examples: cleanExamples(updates.examples) };
+
+    if (guildId) {
+      const profile = this._guildProfile(guildId, true);
+      const custom = profile.customRules.find(r => r.id === ruleId);
+      if (custom) {
+        Object.assign(custom, updates, { id: custom.id, custom: true });
+        saveConfig();
+        return custom;
+      }
+
+      const base = config.rules.find(r => r.id === ruleId);
+      if (!base) return undefined;
+      const diff = this._diff(base, { ...profile.rules[ruleId], ...updates });
+      if (Object.keys(diff).length > 0) profile.rules[ruleId] = diff;
+      else delete profile.rules[ruleId];
+      saveConfig();
+      return this.getRule(ruleId, guildId);
+    }
+
     const rules = this.getRules();
     const idx = rules.findIndex(r => r.id === ruleId);
     if (idx !== -1) {
@@ -76,11 +402,62 @@ class ConfigManager {
     return rules[idx];
   }
 
-  static getSettings() {
-    return config.settings;
+  // ─── Moderation Styles ────────────────────────────────────
+  // A style changes the prompt, every rule's confidence threshold and the
+  // default `warningsBeforeAction` (see getEscalation). The saved
+  // `warningsBeforeAction` setting always wins; switching to a preset resets
+  // it to the preset's count (see updateSettings).
+  // 'custom' builds on a preset with the guild's own `customStyle` settings:
+  //   { basedOn, prompt, confidenceOffset }
+
+  static listStyles() {
+    return Object.entries(moderationStyles).map(([id, style]) => ({ id, ...style }));
+  }
+
+  static getStyle(guildId) {
+    const settings = this.getSettings(guildId);
+    const warnings = parseInt(settings.warningsBeforeAction);
+    if (settings.moderationStyle !== 'custom') {
+      const id = moderationStyles[settings.moderationStyle] ? settings.moderationStyle : 'balanced';
+      const preset = moderationStyles[id];
+      return { id, ...preset, warningsBeforeAction: warnings >= 0 ? warnings : preset.warningsBeforeAction };
+    }
+
+    const custom = settings.customStyle || {};
+    const base = moderationStyles[custom.basedOn] || moderationStyles.balanced;
+    return {
+      ...base,
+      id: 'custom',
+      name: 'Custom',
+      description: `Custom (based on ${base.name})`,
+      prompt: [base.prompt, (custom.prompt || '').trim()].filter(Boolean).join('\n'),
+      confidenceOffset: Math.min(Math.max(Number(custom.confidenceOffset) || 0, -0.5), 0.5),
+      warningsBeforeAction: warnings >= 0 ? warnings : base.warningsBeforeAction
+    };
+  }
+
+  // ─── Settings ─────────────────────────────────────────────
+  static getSettings(guildId) {
+    const overrides = this._guildProfile(guildId)?.settings;
+    if (!overrides) return config.settings;
+    return { ...config.settings, ...overrides };
   }
 
-  static updateSettings(updates) {
+  static updateSettings(updates, guildId) {
+    // Picking a preset brings its warning count unless one is given too
+    const preset = moderationStyles[updates.moderationStyle];
+    if (preset && updates.moderationStyle !== this.getSettings(guildId).moderationStyle && updates.warningsBeforeAction === undefined) {
+      updates = { ...updates, warningsBeforeAction: preset.warningsBeforeAction };
+    }
+
+    if (guildId) {
+      const scoped = Object.fromEntries(Object.entries(updates).filter(([key]) => !GLOBAL_ONLY_SETTINGS.includes(key)));
+      const profile = this._guildProfile(guildId, true);
+      profile.settings = this._diff(config.settings, { ...profile.settings, ...scoped });
+      saveConfig();
+      return this.getSettings(guildId);
+    }
+
     const current = this.getSettings();
     config.settings = { ...current, ...updates };
     saveConfig();
@@ -104,19 +481,25 @@ class ConfigManager {
     const defaults = getDefaults();
     config.rules = defaults.rules;
     config.settings = defaults.settings;
+    config.guilds = {};
     saveConfig();
   }
 
   static exportConfig() {
     return {
       rules: this.getRules(),
-      settings: this.getSettings()
+      settings: this.getSettings(),
+      guilds: config.guilds
     };
   }
 
   static importConfig(cfg) {
     if (cfg.rules) this.setRules(cfg.rules);
     if (cfg.settings) this.updateSettings(cfg.settings);
+    if (cfg.guilds) {
+      config.guilds = cfg.guilds;
+      saveConfig();
+    }
   }
 }
 
@@ -10,12 +10,21 @@ const api = {
   stopBot: () => _post('/api/bot/stop'),
   getBotStatus: () => _get('/api/bot/status'),
 
-  // Config
-  getRules: () => _get('/api/rules'),
-  updateRule: (ruleId, updates) => _put(`/api/rules/${ruleId}`, updates),
-  setRules: (rules) => _put('/api/rules', rules),
-  getSettings: () => _get('/api/settings'),
-  updateSettings: (updates) => _put('/api/settings', updates),
+  // Config (pass a guildId to work on that guild's profile instead of the global config)
+  getRules: (guildId) => _get(guildId ? `/api/guilds/${guildId}/rules` : '/api/rules'),
+  updateRule: (ruleId, updates, guildId) => _put(guildId ? `/api/guilds/${guildId}/rules/${ruleId}` : `/api/rules/${ruleId}`, updates),
+  setRules: (rules, guildId) => _put(guildId ? `/api/guilds/${guildId}/rules` : '/api/rules', rules),
+  getSettings: (guildId) => _get(guildId ? `/api/guilds/${guildId}/settings` : '/api/settings'),
+  updateSettings: (updates, guildId) => _put(guildId ? `/api/guilds/${guildId}/settings` : '/api/settings', updates),
+  getGuilds: () => _get('/api/guilds'),
+  resetGuildRules: (guildId) => _delete(`/api/guilds/${guildId}/rules`),
+  createRule: (rule, guildId) => _post(guildId ? `/api/guilds/${guildId}/rules` : '/api/rules', rule),
+  deleteRule: (ruleId, guildId) => _delete(guildId ? `/api/guilds/${guildId}/rules/${ruleId}` : `/api/rules/${ruleId}`),
+  resetGuildSettings: (guildId) => _delete(`/api/guilds/${guildId}/settings`),
+  getStyles: () => _get('/api/styles'),
+  getBanRequests: (status) => _get(`/api/bans${status ? `?status=${status}` : ''}`),
+  decideBanRequest: (id, decision) => _post(`/api/bans/${id}/${decision}`),
+  getGuildResources: (guildId) => _get(`/api/guilds/${guildId}/resources`),
   getBotToken: async () => { const r = await _get('/api/settings/token'); return r.token; },
   setBotToken: (token) => _put('/api/settings/token', { token }),
   resetConfig: () => _post('/api/config/reset'),
@@ -25,6 +34,24 @@ const api = {
   getRecentLogs: (count) => _get(`/api/logs/recent/${count || 100}`),
   getStats: () => _get('/api/stats'),
   clearLogs: () => _delete('/api/logs'),
+  getLogEntry: (id) => _get(`/api/logs/entry/${id}`),
+  submitFeedback: (id, body) => _post(`/api/logs/entry/${id}/feedback`, body),
+  getFeedbackStats: () => _get('/api/feedback/stats'),
+  exportFeedback: () => _post('/api/feedback/export', {}),
+
+  // Playground
+  analyze: (body) => _post('/api/analyze', body),
+
+  // Regression corpus
+  getCorpus: () => _get('/api/corpus'),
+  addCorpusExample: (example) => _post('/api/corpus', example),
+  deleteCorpusExample: (id) => _delete(`/api/corpus/${encodeURIComponent(id)}`),
+  runCorpus: (options) => _post('/api/corpus/run', options),
+  getCorpusRuns: () => _get('/api/corpus/runs'),
+  getCorpusRun: (id) => _get(`/api/corpus/runs/${id}`),
+
+  // Users
+  getUserProfile: (userId, guildId) => _get(`/api/users/${userId}` + (guildId ? `?guildId=${guildId}` : '')),
 
   // Summaries
   getSummaries: () => _get('/api/summaries'),
@@ -161,6 +188,7 @@ let currentPage = 'overview';
 let botRunning = false;
 let botStatus = {};
 let activityCount = 0;
+let configGuildId = '';   // '' = global defaults, otherwise the guild whose profile is being edited
 
 // ─── Navigation ─────────────────────────────────────────────
 document.querySelectorAll('.nav-item').forEach(item => {
@@ -180,10 +208,14 @@ function switchPage(page) {
   document.getElementById(`page-${page}`).classList.add('active');
 
   if (page === 'overview') refreshOverview();
-  if (page === 'rules') loadRules();
+  if (page === 'rules') { populateConfigGuildPickers(); loadRules(); }
   if (page === 'logs') refreshLogs();
-  if (page === 'settings') loadSettings();
+  if (page === 'bans') loadBanRequests();
+  if (page === 'settings') { populateConfigGuildPickers(); loadSettings(); }
   if (page === 'summary') loadSummaries();
+  if (page === 'users') populateGuildPicker();
+  if (page === 'playground') populateConfigGuildPickers();
+  if (page === 'corpus') { populateConfigGuildPickers(); loadCorpus(); }
   if (page === 'activity') {
     activityCount = 0;
     updateActivityBadge();
@@ -251,6 +283,7 @@ api.onBotStatus((status) => {
 
   if (status.running) updateBotUI('online');
   else updateBotUI('offline');
+  updateBanBadge(status.pendingBans?.length || 0);
 
   if (currentPage === 'overview') refreshOverview();
 });
@@ -266,6 +299,7 @@ api.onLogEntry((entry) => {
 
   if (currentPage === 'overview') refreshOverview();
   if (currentPage === 'logs') appendLog(entry);
+  if (currentPage === 'bans' && entry.type === 'mod_action' && (entry.action === 'request_ban' || entry.action === 'ban')) loadBanRequests();
 });
 
 // ─── Overview Page ──────────────────────────────────────────
@@ -284,6 +318,12 @@ async function refreshOverview() {
     document.getElementById('stat-timeouts').textContent = formatNum(stats.last24h?.timeouts || 0);
     document.getElementById('stat-kicks').textContent = formatNum(stats.last24h?.kicks || 0);
     document.getElementById('stat-bans').textContent = formatNum(stats.last24h?.banRequests || 0);
+    document.getElementById('stat-parse-failures').textContent = formatNum(stats.last24h?.parseFailures || 0);
+
+    const queue = status.queue || {};
+    document.getElementById('stat-queue').textContent = formatNum(queue.depth || 0);
+    document.getElementById('stat-queue-sub').textContent = `AI Queue · ${queue.inFlight || 0}/${queue.maxInFlight || 0} active · ${formatNum(queue.dropped || 0)} dropped`;
+    document.getElementById('stat-latency').textContent = `${((queue.avgWaitMs || 0) + (queue.avgRunMs || 0)).toLocaleString()}ms`;
 
     // Server pills
     const pillsEl = document.getElementById('server-pills');
@@ -300,6 +340,7 @@ async function refreshOverview() {
 
     // Chart
     renderActionChart(stats.last24h);
+    renderRuleAccuracy(await api.getFeedbackStats());
 
     // Recent activity
     const logs = await api.getRecentLogs(8);
@@ -335,6 +376,31 @@ function renderActionChart(data) {
   `).join('');
 }
 
+function renderRuleAccuracy(stats) {
+  const container = document.getElementById('rule-accuracy');
+  const rules = Object.entries(stats.byRule || {}).sort(([a], [b]) => a.localeCompare(b));
+  document.getElementById('rule-accuracy-sub').textContent =
+    `Last ${stats.days} days · ${formatNum(stats.reviewed || 0)} decision(s) reviewed by moderators`;
+  if (rules.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>No AI flags or feedback yet</p></div>';
+    return;
+  }
+  container.innerHTML = rules.map(([id, r]) => `
+    <div class="log-entry">
+      <span class="log-time">${escapeHtml(id)}</span>
+      <span class="log-type ${r.accuracy === null || r.accuracy >= 0.9 ? 'clean' : 'flagged'}">${formatPercent(r.accuracy)}</span>
+      <span class="log-severity">${formatNum(r.flags)} flags</span>
+      <span class="log-detail">${r.falsePositives} false positive${r.falsePositives === 1 ? '' : 's'} · ${r.missed} missed</span>
+    </div>
+  `).join('');
+}
+
+async function exportFeedbackToCorpus() {
+  const result = await api.exportFeedback();
+  if (result.error) return toast(result.error, 'error');
+  toast(`Added ${result.added} example(s) to the corpus${result.skipped ? ` (${result.skipped} already there)` : ''}`, 'success');
+}
+
 function renderActivityItem(entry) {
   let icon = '📋';
   let iconClass = 'info';
@@ -342,7 +408,7 @@ function renderActivityItem(entry) {
   let desc = '';
 
   if (entry.type === 'mod_action') {
-    const actionMap = { warn: ['⚠️', 'warn'], timeout: ['🔇', 'timeout'], kick: ['👢', 'kick'], request_ban: ['🚨', 'ban'], ban: ['🔨', 'ban'] };
+    const actionMap = { warn: ['⚠️', 'warn'], timeout: ['🔇', 'timeout'], kick: ['👢', 'kick'], request_ban: ['🚨', 'ban'], ban: ['🔨', 'ban'], unwarn: ['↩️', 'info'], untimeout: ['↩️', 'info'], unban: ['↩️', 'info'] };
     const [emoji, cls] = actionMap[entry.action] || ['📋', 'info'];
     icon = emoji;
     iconClass = cls;
@@ -351,8 +417,17 @@ function renderActivityItem(entry) {
   } else if (entry.type === 'ai_analysis') {
     icon = entry.flagged ? '🔍' : '✅';
     iconClass = entry.flagged ? 'warn' : 'info';
-    title = `${entry.flagged ? 'Flagged' : 'Clean'} — ${entry.username || 'Unknown'}`;
+    title = `${entry.flagged ? 'Flagged' : 'Clean'} — ${entry.username || 'Unknown'}${entry.cached ? ' (cached)' : ''}`;
     desc = entry.flagged ? entry.reasoning : (entry.messageContent || '').substring(0, 80);
+  } else if (entry.type === 'would_action') {
+    icon = '🧪';
+    title = `Would ${entry.action.replace('_', ' ')} — ${entry.username || 'Unknown'}`;
+    desc = entry.reason || entry.messageContent || '';
+  } else if (entry.type === 'ai_parse_failure') {
+    icon = '🧩';
+    iconClass = 'warn';
+    title = `AI parse failure — ${entry.task || 'unknown task'}${entry.retrying ? ' (retrying)' : ''}`;
+    desc = (entry.errors || []).join('; ');
   } else if (entry.type === 'bot_event') {
     icon = '🤖';
     title = entry.event?.replace(/_/g, ' ');
@@ -411,21 +486,66 @@ function updateActivityBadge() {
   }
 }
 
+// ─── Config Scope (global vs. per-guild profile) ────────────
+// Every page that works on the global config or one guild's profile
+const CONFIG_SCOPE_PICKERS = ['rules-guild', 'settings-guild', 'playground-guild', 'corpus-guild'];
+
+async function populateConfigGuildPickers() {
+  let guilds = [];
+  try {
+    guilds = await api.getGuilds();
+  } catch (e) {
+    return;
+  }
+  for (const id of CONFIG_SCOPE_PICKERS) {
+    const select = document.getElementById(id);
+    select.innerHTML = '<option value="">🌐 Global defaults</option>' + guilds.map(g =>
+      `<option value="${g.id}" ${g.id === configGuildId ? 'selected' : ''}>${escapeHtml(g.name || g.id)}${g.hasProfile ? ' •' : ''}</option>`
+    ).join('');
+  }
+}
+
+function setConfigScope(guildId) {
+  configGuildId = guildId;
+  for (const id of CONFIG_SCOPE_PICKERS) document.getElementById(id).value = guildId;
+  if (currentPage === 'rules') loadRules();
+  if (currentPage === 'settings') loadSettings();
+  if (currentPage === 'corpus') loadCorpusRuleFilter();
+}
+
+function configScopeNote() {
+  return configGuildId
+    ? 'Editing this server only — anything you don\'t change is inherited from the global defaults'
+    : 'Editing the global defaults used by every server without its own overrides';
+}
+
 // ─── Rules Page ─────────────────────────────────────────────
+let loadedRules = [];
+
 async function loadRules() {
-  const rules = await api.getRules();
+  const rules = await api.getRules(configGuildId);
+  loadedRules = rules;
   const grid = document.getElementById('rules-grid');
+  document.getElementById('rules-scope-note').textContent = configScopeNote();
+  document.getElementById('rules-reset-btn').textContent = configGuildId ? '↻ Reset to Global' : '↻ Reset to Defaults';
 
   grid.innerHTML = rules.map(rule => `
     <div class="rule-card ${rule.enabled ? '' : 'disabled'}" id="rule-${rule.id}">
       <div class="rule-header">
         <span class="rule-name">${escapeHtml(rule.name)}</span>
-        <span class="severity-badge ${rule.severity}">${rule.severity}</span>
+        <span>
+          <span class="severity-badge ${rule.severity}">${rule.severity}</span>
+          ${rule.overridden ? '<span class="override-badge">server</span>' : ''}
+          ${rule.custom ? `<span class="override-badge">${rule.guildOnly ? 'server only' : 'custom'}</span>` : ''}
+          ${rule.dryRun ? '<span class="override-badge">dry run</span>' : ''}
+        </span>
       </div>
       <div class="rule-desc">${escapeHtml(rule.description)}</div>
       <div class="rule-meta">
-        <span>🎯 ${rule.action.replace('_', ' ')}</span>
-        ${rule.timeoutDuration ? `<span>⏱ ${Math.floor(rule.timeoutDuration / 60)}m</span>` : ''}
+        <span>🎯 ${escapeHtml(formatLadder(rule.escalation) || rule.action.replace('_', ' '))}</span>
+        <span>🎚 ≥ ${rule.minConfidence ?? 0.7}</span>
+        ${isScoped(rule) ? '<span>📍 scoped</span>' : ''}
+        ${exampleCount(rule) ? `<span>💬 ${exampleCount(rule)} examples</span>` : ''}
       </div>
       <div class="rule-actions">
         <label class="toggle">
@@ -433,20 +553,32 @@ async function loadRules() {
           <span class="toggle-slider"></span>
         </label>
         <button class="btn btn-sm" onclick="editRule('${rule.id}')">✏️ Edit</button>
+        <button class="btn btn-sm" onclick="duplicateRule('${rule.id}')">⧉ Duplicate</button>
+        ${canDeleteRule(rule) ? `<button class="btn btn-sm btn-danger" onclick="deleteRule('${rule.id}')">🗑</button>` : ''}
       </div>
       <div class="rule-edit-area" id="edit-${rule.id}">
         <div class="input-group">
-          <label class="input-label">Action</label>
-          <select class="select" id="action-${rule.id}">
-            <option value="warn" ${rule.action === 'warn' ? 'selected' : ''}>Warn</option>
-            <option value="timeout" ${rule.action === 'timeout' ? 'selected' : ''}>Timeout</option>
-            <option value="kick" ${rule.action === 'kick' ? 'selected' : ''}>Kick</option>
-            <option value="request_ban" ${rule.action === 'request_ban' ? 'selected' : ''}>Request Ban</option>
+          <label class="input-label">Escalation Ladder</label>
+          <input type="text" class="input" id="ladder-${rule.id}" value="${escapeHtml(formatLadder(rule.escalation))}" placeholder="warn, warn, timeout 10m, timeout 1h, kick, request_ban" />
+          <div class="setting-desc">Steps in order — each repeat offence moves one step up. Actions: warn, timeout &lt;duration&gt;, kick, request_ban</div>
+        </div>
+        <div class="input-group">
+          <label class="input-label">Mode</label>
+          <select class="select" id="mode-${rule.id}">
+            <option value="live" ${!rule.dryRun ? 'selected' : ''}>Live — enforce actions</option>
+            <option value="dry" ${rule.dryRun ? 'selected' : ''}>Dry run — only log what would happen</option>
+          </select>
+        </div>
+        <div class="input-group">
+          <label class="input-label">Count Prior Infractions By</label>
+          <select class="select" id="scope-${rule.id}">
+            <option value="rule" ${rule.escalationScope !== 'severity' ? 'selected' : ''}>This rule</option>
+            <option value="severity" ${rule.escalationScope === 'severity' ? 'selected' : ''}>Any rule of the same severity</option>
           </select>
         </div>
         <div class="input-group">
-          <label class="input-label">Timeout Duration (seconds)</label>
-          <input type="number" class="input" id="duration-${rule.id}" value="${rule.timeoutDuration || 0}" min="0" />
+          <label class="input-label">Min Confidence (0–1)</label>
+          <input type="number" class="input" id="confidence-${rule.id}" value="${rule.minConfidence ?? 0.7}" min="0.05" max="1" step="0.05" />
         </div>
         <div class="input-group">
           <label class="input-label">Severity</label>
@@ -461,14 +593,164 @@ async function loadRules() {
           <label class="input-label">AI Prompt</label>
           <textarea class="textarea" id="prompt-${rule.id}" rows="3">${escapeHtml(rule.aiPrompt)}</textarea>
         </div>
+        ${renderExampleInputs(rule.id, rule.examples)}
+        <div class="input-group">
+          <label class="input-label">Only In Channel / Category IDs</label>
+          <input type="text" class="input" id="scope-include-channels-${rule.id}" value="${(rule.scope?.includeChannels || []).join(',')}" placeholder="Everywhere" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Never In Channel / Category IDs</label>
+          <input type="text" class="input" id="scope-exclude-channels-${rule.id}" value="${(rule.scope?.excludeChannels || []).join(',')}" placeholder="123456789,987654321" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Only For Role IDs</label>
+          <input type="text" class="input" id="scope-include-roles-${rule.id}" value="${(rule.scope?.includeRoles || []).join(',')}" placeholder="Everyone" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Never For Role IDs</label>
+          <input type="text" class="input" id="scope-exclude-roles-${rule.id}" value="${(rule.scope?.excludeRoles || []).join(',')}" placeholder="123456789" />
+        </div>
         <button class="btn btn-primary btn-sm" onclick="saveRule('${rule.id}')">💾 Save</button>
       </div>
     </div>
   `).join('');
 }
 
+// Few-shot examples are edited one message per line
+function renderExampleInputs(prefix, examples = {}) {
+  return `
+    <div class="input-group">
+      <label class="input-label">Examples That Break This Rule (one per line)</label>
+      <textarea class="textarea" id="examples-positive-${prefix}" rows="3" placeholder="Messages the AI should flag in this community">${escapeHtml((examples.positive || []).join('\n'))}</textarea>
+    </div>
+    <div class="input-group">
+      <label class="input-label">Examples That Are Fine Here (one per line)</label>
+      <textarea class="textarea" id="examples-negative-${prefix}" rows="3" placeholder="Slang and in-jokes the AI shouldn't flag">${escapeHtml((examples.negative || []).join('\n'))}</textarea>
+    </div>
+  `;
+}
+
+function readExampleInputs(prefix) {
+  const lines = id => document.getElementById(id).value.split('\n').map(s => s.trim()).filter(Boolean);
+  return { positive: lines(`examples-positive-${prefix}`), negative: lines(`examples-negative-${prefix}`) };
+}
+
+function exampleCount(rule) {
+  return (rule.examples?.positive?.length || 0) + (rule.examples?.negative?.length || 0);
+}
+
+function isScoped(rule) {
+  return Object.values(rule.scope || {}).some(ids => ids.length > 0);
+}
+
+// Global custom rules can be deleted from the global view; guild-only rules from their guild's view
+function canDeleteRule(rule) {
+  return rule.custom && (configGuildId ? rule.guildOnly : true);
+}
+
+function renderNewRuleCard(template = {}) {
+  return `
+    <div class="rule-card editing" id="rule-new">
+      <div class="rule-header">
+        <span class="rule-name">${template.name ? `Copy of ${escapeHtml(template.name)}` : 'New Rule'}</span>
+        ${configGuildId ? '<span class="override-badge">server only</span>' : ''}
+      </div>
+      <div class="rule-edit-area">
+        <div class="input-group">
+          <label class="input-label">ID (lowercase, used in logs)</label>
+          <input type="text" class="input" id="new-id" value="${escapeHtml(template.id || '')}" placeholder="no-politics" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Name</label>
+          <input type="text" class="input" id="new-name" value="${escapeHtml(template.name || '')}" placeholder="No Politics in #general" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Description</label>
+          <input type="text" class="input" id="new-description" value="${escapeHtml(template.description || '')}" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Severity</label>
+          <select class="select" id="new-severity">
+            ${['low', 'medium', 'high', 'critical'].map(sev =>
+              `<option value="${sev}" ${(template.severity || 'medium') === sev ? 'selected' : ''}>${sev[0].toUpperCase() + sev.slice(1)}</option>`
+            ).join('')}
+          </select>
+        </div>
+        <div class="input-group">
+          <label class="input-label">Escalation Ladder</label>
+          <input type="text" class="input" id="new-ladder" value="${escapeHtml(formatLadder(template.escalation) || 'warn, timeout 10m, timeout 1h')}" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">Min Confidence (0–1)</label>
+          <input type="number" class="input" id="new-confidence" value="${template.minConfidence ?? 0.8}" min="0.05" max="1" step="0.05" />
+        </div>
+        <div class="input-group">
+          <label class="input-label">AI Prompt</label>
+          <textarea class="textarea" id="new-prompt" rows="3" placeholder="Check if this message discusses politics...">${escapeHtml(template.aiPrompt || '')}</textarea>
+        </div>
+        ${renderExampleInputs('new', template.examples)}
+        <div style="display: flex; gap: 10px;">
+          <button class="btn btn-primary btn-sm" onclick="createRule()">＋ Create</button>
+          <button class="btn btn-sm" onclick="document.getElementById('rule-new').remove()">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function newRule(template) {
+  const existing = document.getElementById('rule-new');
+  if (existing) existing.remove();
+  document.getElementById('rules-grid').insertAdjacentHTML('afterbegin', renderNewRuleCard(template));
+  document.getElementById('new-id').focus();
+}
+
+function duplicateRule(ruleId) {
+  const rule = loadedRules.find(r => r.id === ruleId);
+  if (!rule) return;
+  let id = `${rule.id}-copy`.slice(0, 32);
+  for (let n = 2; loadedRules.some(r => r.id === id); n++) id = `${rule.id}-copy${n}`.slice(0, 32);
+  newRule({ ...rule, id });
+}
+
+async function createRule() {
+  let escalation;
+  try {
+    escalation = parseLadder(document.getElementById('new-ladder').value);
+  } catch (e) {
+    return toast(e.message, 'error');
+  }
+
+  const result = await api.createRule({
+    id: document.getElementById('new-id').value.trim().toLowerCase(),
+    name: document.getElementById('new-name').value.trim(),
+    description: document.getElementById('new-description').value.trim(),
+    severity: document.getElementById('new-severity').value,
+    escalation,
+    minConfidence: Math.min(Math.max(parseFloat(document.getElementById('new-confidence').value) || 0.8, 0.05), 1),
+    aiPrompt: document.getElementById('new-prompt').value.trim(),
+    examples: readExampleInputs('new')
+  }, configGuildId);
+
+  if (result.error) return toast(result.error, 'error');
+  toast(`Rule "${result.name}" created`, 'success');
+  loadRules();
+}
+
+async function deleteRule(ruleId) {
+  if (!confirm(`Delete the rule "${ruleId}"? This can't be undone.`)) return;
+  const result = await api.deleteRule(ruleId, configGuildId);
+  if (result.error) return toast(result.error, 'error');
+  toast('Rule deleted', 'info');
+  loadRules();
+}
+
 async function toggleRule(ruleId, enabled) {
-  await api.updateRule(ruleId, { enabled });
+  const result = await api.updateRule(ruleId, { enabled }, configGuildId);
+  if (result.error) {
+    toast(result.error, 'error');
+    return loadRules();
+  }
   toast(`${ruleId} ${enabled ? 'enabled' : 'disabled'}`, 'info');
   const card = document.getElementById(`rule-${ruleId}`);
   card.classList.toggle('disabled', !enabled);
@@ -480,24 +762,315 @@ function editRule(ruleId) {
 }
 
 async function saveRule(ruleId) {
+  let escalation;
+  try {
+    escalation = parseLadder(document.getElementById(`ladder-${ruleId}`).value);
+  } catch (e) {
+    return toast(e.message, 'error');
+  }
+
   const updates = {
-    action: document.getElementById(`action-${ruleId}`).value,
-    timeoutDuration: parseInt(document.getElementById(`duration-${ruleId}`).value) || 0,
+    escalation,
+    escalationScope: document.getElementById(`scope-${ruleId}`).value,
+    dryRun: document.getElementById(`mode-${ruleId}`).value === 'dry',
+    scope: {
+      includeChannels: parseIdList(document.getElementById(`scope-include-channels-${ruleId}`).value),
+      excludeChannels: parseIdList(document.getElementById(`scope-exclude-channels-${ruleId}`).value),
+      includeRoles: parseIdList(document.getElementById(`scope-include-roles-${ruleId}`).value),
+      excludeRoles: parseIdList(document.getElementById(`scope-exclude-roles-${ruleId}`).value)
+    },
+    minConfidence: Math.min(Math.max(parseFloat(document.getElementById(`confidence-${ruleId}`).value) || 0.7, 0.05), 1),
     severity: document.getElementById(`severity-${ruleId}`).value,
-    aiPrompt: document.getElementById(`prompt-${ruleId}`).value
+    aiPrompt: document.getElementById(`prompt-${ruleId}`).value,
+    examples: readExampleInputs(ruleId)
   };
 
-  await api.updateRule(ruleId, updates);
+  const result = await api.updateRule(ruleId, updates, configGuildId);
+  if (result.error) return toast(result.error, 'error');
   toast('Rule saved!', 'success');
   loadRules();
 }
 
+function parseIdList(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Escalation ladders are edited as "warn, timeout 10m, kick" text
+const LADDER_ACTIONS = ['warn', 'timeout', 'kick', 'request_ban'];
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function formatLadder(steps) {
+  return (steps || []).map(step => step.action === 'timeout' ? `timeout ${formatDuration(step.duration)}` : step.action).join(', ');
+}
+
+function parseLadder(text) {
+  const steps = text.split(',').map(s => s.trim().toLowerCase()).filter(Boolean).map(part => {
+    const match = part.match(/^(\w+)(?:\s+(\d+)\s*([smhd]?))?$/);
+    if (!match || !LADDER_ACTIONS.includes(match[1])) throw new Error(`Unknown escalation step "${part}"`);
+    if (match[1] !== 'timeout') return { action: match[1] };
+    const duration = match[2] ? parseInt(match[2]) * DURATION_UNITS[match[3] || 's'] : 300;
+    if (duration < 1 || duration > 28 * 86400) throw new Error(`Timeout in "${part}" must be between 1s and 28d`);
+    return { action: 'timeout', duration };
+  });
+  if (steps.length === 0) throw new Error('The escalation ladder needs at least one step');
+  return steps;
+}
+
+function formatDuration(seconds) {
+  for (const unit of ['d', 'h', 'm']) {
+    if (seconds >= DURATION_UNITS[unit] && seconds % DURATION_UNITS[unit] === 0) return `${seconds / DURATION_UNITS[unit]}${unit}`;
+  }
+  return `${seconds}s`;
+}
+
 async function resetRules() {
-  await api.resetConfig();
-  toast('Rules reset to defaults', 'info');
+  if (configGuildId) {
+    await api.resetGuildRules(configGuildId);
+    toast('Server rules now follow the global defaults', 'info');
+  } else {
+    await api.resetConfig();
+    toast('Rules reset to defaults', 'info');
+  }
   loadRules();
 }
 
+// ─── Playground Page ────────────────────────────────────────
+async function runPlayground() {
+  const content = document.getElementById('playground-content').value;
+  if (!content.trim()) return toast('Enter a message to test', 'error');
+
+  const context = document.getElementById('playground-context').value.split('\n')
+    .map(line => line.trim()).filter(Boolean)
+    .map(line => {
+      const idx = line.indexOf(':');
+      return idx > 0 ? { author: line.slice(0, idx).trim(), content: line.slice(idx + 1).trim() } : { author: 'User', content: line };
+    });
+
+  const btn = document.getElementById('playground-run');
+  btn.disabled = true;
+  try {
+    const result = await api.analyze({
+      guildId: configGuildId || undefined,
+      content,
+      authorName: document.getElementById('playground-author').value.trim() || undefined,
+      authorId: document.getElementById('playground-author-id').value.trim() || undefined,
+      channelName: document.getElementById('playground-channel').value.trim().replace(/^#/, '') || undefined,
+      channelId: document.getElementById('playground-channel-id').value.trim() || undefined,
+      categoryId: document.getElementById('playground-category-id').value.trim() || undefined,
+      roleIds: parseIdList(document.getElementById('playground-roles').value),
+      context
+    });
+    if (result.error && !result.verdict) return toast(result.error, 'error');
+    renderPlaygroundResult(result);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderPlaygroundResult(result) {
+  const d = result.decision;
+  let decision;
+  if (!result.verdict.flagged) {
+    decision = '<span style="color: var(--green);">✅ No action</span>';
+  } else if (!d) {
+    decision = '<span style="color: var(--text3);">No violation clears its confidence threshold</span>';
+  } else {
+    const duration = d.action === 'timeout' && d.duration ? ` ${formatDuration(d.duration)}` : '';
+    const step = d.escalation ? ` (step ${d.escalation.step}/${d.escalation.of})` : '';
+    decision = `<span class="log-type ${d.action}">${d.dryRun ? 'would ' : ''}${d.action.replace('_', ' ')}${duration}</span>
+      <span style="font-size: 12px; color: var(--text3);">[${escapeHtml(d.ruleId || '—')}]${step}${d.dryRun ? ' · dry run' : ''}</span>`;
+  }
+
+  const source = result.preFilter === 'escalate'
+    ? `AI · rules checked: ${escapeHtml((result.ai?.rules || []).join(', ') || 'none')}`
+    : `Pre-filter (${result.preFilter}) — the AI wasn't called`;
+
+  const attempts = (result.ai?.trace || []).map(t => `
+    <div class="input-label">Raw response — attempt ${t.attempt}${t.errors.length ? ` · ${t.errors.length} error(s)` : ''}</div>
+    <div class="playground-raw">${escapeHtml(t.response)}${t.errors.length ? '\n\n⚠ ' + escapeHtml(t.errors.join('\n⚠ ')) : ''}</div>
+  `).join('');
+
+  document.getElementById('playground-result').innerHTML = `
+    <div class="playground-decision">${decision}</div>
+    <div class="setting-desc" style="margin-bottom: 12px;">${source}</div>
+    ${result.ai?.error ? `<div class="setting-desc" style="color: var(--red); margin-bottom: 12px;">${escapeHtml(result.ai.error)}</div>` : ''}
+    <div class="input-label">Normalized verdict</div>
+    <div class="playground-raw">${escapeHtml(JSON.stringify(result.verdict, null, 2))}</div>
+    ${attempts}
+  `;
+}
+
+// ─── Corpus Page ────────────────────────────────────────────
+let corpusPollTimer = null;
+
+async function loadCorpus() {
+  loadCorpusRuleFilter();
+  const [corpus, runs] = await Promise.all([api.getCorpus(), api.getCorpusRuns()]);
+  renderCorpusExamples(corpus.examples);
+  renderCorpusHistory(runs.runs);
+  updateCorpusStatus(runs.status);
+  if (runs.runs.length > 0) showCorpusRun(runs.runs[0].id);
+}
+
+async function loadCorpusRuleFilter() {
+  const rules = await api.getRules(configGuildId);
+  const select = document.getElementById('corpus-rule');
+  const current = select.value;
+  select.innerHTML = '<option value="">All rules</option>' +
+    rules.map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`).join('');
+  select.value = rules.some(r => r.id === current) ? current : '';
+}
+
+function renderCorpusExamples(examples) {
+  document.getElementById('corpus-count').textContent = examples.length;
+  const container = document.getElementById('corpus-examples');
+  if (examples.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>No examples yet — add some below</p></div>';
+    return;
+  }
+  container.innerHTML = examples.map(e => `
+    <div class="log-entry">
+      <span class="log-time" title="${escapeHtml(e.id)}">${escapeHtml(e.id)}</span>
+      <span class="log-type ${e.labels.length ? 'flagged' : 'clean'}">${e.labels.length ? escapeHtml(e.labels.join(', ')) : 'clean'}</span>
+      <span class="log-severity"><button class="btn btn-sm" onclick="deleteCorpusExample('${escapeHtml(e.id)}')">✕</button></span>
+      <span class="log-detail" title="${escapeHtml(e.content)}">${escapeHtml(e.content)}</span>
+    </div>
+  `).join('');
+}
+
+async function addCorpusExample() {
+  const content = document.getElementById('corpus-new-content').value;
+  const labels = document.getElementById('corpus-new-labels').value.split(',').map(s => s.trim()).filter(Boolean);
+  const result = await api.addCorpusExample({ content, labels });
+  if (result.error) return toast(result.error, 'error');
+  document.getElementById('corpus-new-content').value = '';
+  document.getElementById('corpus-new-labels').value = '';
+  toast('Example added', 'success');
+  renderCorpusExamples((await api.getCorpus()).examples);
+}
+
+async function deleteCorpusExample(id) {
+  if (!confirm(`Remove the example "${id}" from the corpus?`)) return;
+  const result = await api.deleteCorpusExample(id);
+  if (result.error) return toast(result.error, 'error');
+  renderCorpusExamples((await api.getCorpus()).examples);
+}
+
+async function runCorpus() {
+  const result = await api.runCorpus({
+    guildId: configGuildId || undefined,
+    ruleId: document.getElementById('corpus-rule').value || undefined
+  });
+  if (result.error) return toast(result.error, 'error');
+  pollCorpus();
+}
+
+// Poll while a run is in progress, then show the new run
+async function pollCorpus() {
+  clearTimeout(corpusPollTimer);
+  const runs = await api.getCorpusRuns();
+  updateCorpusStatus(runs.status);
+  if (runs.status.running) {
+    corpusPollTimer = setTimeout(pollCorpus, 1500);
+    return;
+  }
+  renderCorpusHistory(runs.runs);
+  if (runs.runs.length > 0) showCorpusRun(runs.runs[0].id);
+}
+
+function updateCorpusStatus(status) {
+  const btn = document.getElementById('corpus-run-btn');
+  btn.disabled = status.running;
+  btn.textContent = status.running ? `⏳ Running ${status.done}/${status.total}` : '▶ Run Corpus';
+}
+
+function renderCorpusHistory(runs) {
+  const container = document.getElementById('corpus-history');
+  if (runs.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>No runs yet</p></div>';
+    return;
+  }
+  container.innerHTML = runs.map(r => `
+    <div class="log-entry" style="cursor: pointer;" onclick="showCorpusRun('${r.id}')">
+      <span class="log-time">${new Date(r.timestamp).toLocaleString()}</span>
+      <span class="log-type ${r.metrics.accuracy === 1 ? 'clean' : 'flagged'}">${formatPercent(r.metrics.accuracy)}</span>
+      <span class="log-severity">${r.metrics.correct}/${r.metrics.total}</span>
+      <span class="log-detail">${escapeHtml(r.provider)}${r.model ? ` (${escapeHtml(r.model)})` : ''} · ${escapeHtml(r.moderationStyle)}${r.ruleId ? ` · ${escapeHtml(r.ruleId)} only` : ''}${r.guildId ? ` · server ${escapeHtml(r.guildId)}` : ''}</span>
+    </div>
+  `).join('');
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+}
+
+// Signed change in percentage points, coloured by direction
+function formatDelta(value) {
+  if (!value) return '';
+  const points = Math.round(value * 100);
+  if (points === 0) return '';
+  return ` <span style="color: ${points > 0 ? 'var(--green)' : 'var(--red)'};">${points > 0 ? '+' : ''}${points}</span>`;
+}
+
+async function showCorpusRun(runId) {
+  const run = await api.getCorpusRun(runId);
+  if (run.error) return toast(run.error, 'error');
+  const m = run.metrics;
+  const diff = run.diff;
+
+  const rulesHtml = Object.entries(m.byRule).sort(([a], [b]) => a.localeCompare(b)).map(([id, r]) => `
+    <div class="log-entry">
+      <span class="log-time">${escapeHtml(id)}</span>
+      <span class="log-severity">P ${formatPercent(r.precision)}${formatDelta(diff?.byRule[id]?.precision)}</span>
+      <span class="log-severity">R ${formatPercent(r.recall)}${formatDelta(diff?.byRule[id]?.recall)}</span>
+      <span class="log-detail">${r.tp} true positive · ${r.fp} false positive · ${r.fn} missed</span>
+    </div>
+  `).join('') || '<div class="empty-state"><p>Nothing was flagged or expected</p></div>';
+
+  const changedHtml = !diff
+    ? '<div class="empty-state"><p>First run with these settings — nothing to compare</p></div>'
+    : diff.changed.length === 0
+      ? '<div class="empty-state"><p>No verdicts changed since the last run</p></div>'
+      : diff.changed.map(c => `
+        <div class="log-entry">
+          <span class="log-time">${escapeHtml(c.id)}</span>
+          <span class="log-type ${c.fixed ? 'clean' : c.broke ? 'flagged' : 'warn'}">${c.fixed ? 'fixed' : c.broke ? 'broke' : 'changed'}</span>
+          <span class="log-severity">[${escapeHtml(c.expected.join(', ') || 'clean')}]</span>
+          <span class="log-detail">[${escapeHtml(c.before.join(', ') || 'clean')}] → [${escapeHtml(c.after.join(', ') || 'clean')}]</span>
+        </div>
+      `).join('');
+
+  const failing = run.results.filter(r => !r.correct);
+  const failingHtml = failing.length === 0
+    ? '<div class="empty-state"><p>Every example matched its labels</p></div>'
+    : failing.map(r => `
+      <div class="log-entry">
+        <span class="log-time">${escapeHtml(r.id)}</span>
+        <span class="log-type ${r.error ? 'error' : 'flagged'}">${r.error ? 'error' : escapeHtml(r.predicted.join(', ') || 'clean')}</span>
+        <span class="log-severity">[${escapeHtml(r.expected.join(', ') || 'clean')}]</span>
+        <span class="log-detail" title="${escapeHtml(r.error || r.reasoning)}">${escapeHtml(r.content)}</span>
+      </div>
+    `).join('');
+
+  document.getElementById('corpus-run').innerHTML = `
+    <div class="setting-desc" style="margin-bottom: 12px;">
+      ${new Date(run.timestamp).toLocaleString()} · ${escapeHtml(run.provider)}${run.model ? ` (${escapeHtml(run.model)})` : ''} · style ${escapeHtml(run.moderationStyle)} · ${(run.durationMs / 1000).toFixed(1)}s
+    </div>
+    <div class="stats-grid">
+      <div class="stat-card purple"><div class="stat-icon">🎯</div><div class="stat-value">${formatPercent(m.accuracy)}${formatDelta(diff?.accuracy)}</div><div class="stat-label">Accuracy</div></div>
+      <div class="stat-card green"><div class="stat-icon">✅</div><div class="stat-value">${m.correct}/${m.total}</div><div class="stat-label">Matched Labels</div></div>
+      <div class="stat-card orange"><div class="stat-icon">⚠️</div><div class="stat-value">${m.falsePositives}</div><div class="stat-label">Clean Messages Flagged</div></div>
+      <div class="stat-card red"><div class="stat-icon">🧩</div><div class="stat-value">${m.errors}</div><div class="stat-label">AI Errors</div></div>
+    </div>
+    <div class="input-label">Per rule (precision / recall, change since last run)</div>
+    <div class="log-container" style="margin-bottom: 16px;">${rulesHtml}</div>
+    <div class="input-label">Changed since last run${diff ? ` (${new Date(diff.previousTimestamp).toLocaleString()})` : ''}</div>
+    <div class="log-container" style="margin-bottom: 16px;">${changedHtml}</div>
+    <div class="input-label">Misclassified (${failing.length})</div>
+    <div class="log-container">${failingHtml}</div>
+  `;
+}
+
 // ─── Logs Page ──────────────────────────────────────────────
 async function refreshLogs() {
   const type = document.getElementById('log-filter-type').value;
@@ -534,52 +1107,314 @@ function appendLog(entry) {
 }
 
 function renderLogEntry(entry) {
-  const typeLabel = entry.action || entry.type;
+  const typeLabel = entry.type === 'would_action' ? entry.type : (entry.action || entry.type);
   let detail = '';
 
   if (entry.type === 'mod_action') {
-    detail = `${entry.username || 'Unknown'} in #${entry.channelName || '?'} — ${entry.reason || entry.messageContent || ''}`;
+    const step = entry.escalation ? `[step ${entry.escalation.step}/${entry.escalation.of}] ` : '';
+    const rules = entry.violations?.length > 1 ? `[${entry.violations.join(', ')}] ` : '';
+    const review = entry.review ? ` → ${entry.review.status} by ${entry.review.moderator?.tag || 'unknown'}` : '';
+    const reverted = entry.reverted ? ` (reverted by ${entry.reverted.moderator?.tag || 'unknown'})` : '';
+    detail = `${step}${rules}${entry.username || 'Unknown'} in #${entry.channelName || '?'} — ${entry.reason || entry.messageContent || ''}${review}${reverted}`;
+  } else if (entry.type === 'would_action') {
+    const duration = entry.duration ? ` ${formatDuration(entry.duration)}` : '';
+    detail = `would ${entry.action.replace('_', ' ')}${duration} [${(entry.violations || []).join(', ')}] ${entry.username || 'Unknown'} in #${entry.channelName || '?'} — ${entry.reason || ''}`;
   } else if (entry.type === 'ai_analysis') {
-    detail = `${entry.username || 'Unknown'}: ${entry.flagged ? '🚩 ' + entry.reasoning : '✅ Clean'} — "${(entry.messageContent || '').substring(0, 60)}"`;
+    detail = `${entry.cached ? '[cached] ' : ''}${entry.username || 'Unknown'}: ${entry.flagged ? '🚩 ' + entry.reasoning : '✅ Clean'} — "${(entry.messageContent || '').substring(0, 60)}"`;
+  } else if (entry.type === 'ai_parse_failure') {
+    detail = `${entry.task} attempt ${entry.attempt}${entry.retrying ? ' (retrying)' : ' (gave up)'}: ${(entry.errors || []).join('; ')}`;
   } else if (entry.type === 'bot_event') {
     detail = `${entry.event}: ${entry.details || ''}`;
   } else if (entry.type === 'error') {
     detail = `${entry.context || ''}: ${entry.error || ''}`;
   }
 
+  const userLink = entry.userId
+    ? `<span class="log-link" onclick="openUserProfile('${entry.userId}', '${entry.guildId || ''}')">👤</span> `
+    : '';
+
   return `
-    <div class="log-entry">
+    <div class="log-entry" id="log-${entry.id}">
       <span class="log-time">${formatTime(entry.timestamp)}</span>
       <span class="log-type ${typeLabel}">${typeLabel}</span>
       <span class="log-severity" style="color: ${severityColor(entry.severity)}">${entry.severity || '—'}</span>
-      <span class="log-detail" title="${escapeHtml(detail)}">${escapeHtml(detail)}</span>
+      <span class="log-detail" title="${escapeHtml(detail)}">${userLink}${renderFeedbackControl(entry)}${escapeHtml(detail)}</span>
     </div>
   `;
 }
 
+// Feedback marker for reviewed entries, buttons for unreviewed AI analyses
+function renderFeedbackControl(entry) {
+  if (entry.feedback) {
+    const label = entry.feedback.verdict === 'false_positive'
+      ? 'false positive'
+      : `missed: ${entry.feedback.ruleIds.join(', ')}`;
+    return `<span class="override-badge" style="margin: 0 6px 0 0;" title="${escapeHtml(entry.feedback.note || '')}">${escapeHtml(label)}</span>`;
+  }
+  if (entry.type !== 'ai_analysis') return '';
+  return entry.flagged
+    ? `<span class="log-link" title="Mark as a false positive" onclick="markFalsePositive('${entry.id}')">👎</span> `
+    : `<span class="log-link" title="Report a missed violation" onclick="markMissedViolation('${entry.id}')">🚩</span> `;
+}
+
+async function markFalsePositive(id) {
+  if (!confirm('Mark this as a false positive? Timeouts and warnings it caused will be undone.')) return;
+  await submitLogFeedback(id, { verdict: 'false_positive' });
+}
+
+async function markMissedViolation(id) {
+  const input = prompt('Which rule(s) did this message break? (comma-separated rule IDs)');
+  if (!input) return;
+  await submitLogFeedback(id, { verdict: 'missed_violation', ruleIds: parseIdList(input) });
+}
+
+async function submitLogFeedback(id, body) {
+  const result = await api.submitFeedback(id, body);
+  if (result.error) return toast(result.error, 'error');
+  toast(`Feedback saved${result.reverted ? ` — ${result.reverted}` : ''}`, 'success');
+  const el = document.getElementById(`log-${id}`);
+  if (el) el.outerHTML = renderLogEntry(result.entry);
+}
+
+// Jump to a specific entry on the Logs page (fetching it if it's no longer in memory)
+async function openLogEntry(id) {
+  document.getElementById('log-filter-type').value = '';
+  document.getElementById('log-filter-severity').value = '';
+  switchPage('logs');
+  await refreshLogs();
+
+  let el = document.getElementById(`log-${id}`);
+  if (!el) {
+    try {
+      const entry = await api.getLogEntry(id);
+      if (entry.error) return toast(entry.error, 'error');
+      const container = document.getElementById('log-container');
+      const empty = container.querySelector('.empty-state');
+      if (empty) empty.remove();
+      container.insertAdjacentHTML('afterbegin', renderLogEntry(entry));
+      el = document.getElementById(`log-${id}`);
+    } catch (e) {
+      return toast('Could not load log entry', 'error');
+    }
+  }
+
+  el.classList.add('highlight');
+  el.scrollIntoView({ block: 'center' });
+}
+
 async function clearLogs() {
   await api.clearLogs();
   toast('Logs cleared', 'info');
   refreshLogs();
 }
 
+// ─── Users Page ─────────────────────────────────────────────
+function populateGuildPicker() {
+  const select = document.getElementById('user-lookup-guild');
+  const current = select.value;
+  const guilds = botStatus.guildList || [];
+  select.innerHTML = '<option value="">All Servers</option>' + guilds.map(g =>
+    `<option value="${g.id}" ${g.id === current ? 'selected' : ''}>${escapeHtml(g.name)}</option>`
+  ).join('');
+}
+
+function openUserProfile(userId, guildId) {
+  switchPage('users');
+  document.getElementById('user-lookup-id').value = userId;
+  const select = document.getElementById('user-lookup-guild');
+  if (guildId && !select.querySelector(`option[value="${guildId}"]`)) {
+    select.insertAdjacentHTML('beforeend', `<option value="${guildId}">${guildId}</option>`);
+  }
+  select.value = guildId || '';
+  loadUserProfile();
+}
+
+async function loadUserProfile() {
+  const userId = document.getElementById('user-lookup-id').value.trim();
+  const guildId = document.getElementById('user-lookup-guild').value;
+  const container = document.getElementById('user-profile');
+  if (!userId) return;
+
+  const profile = await api.getUserProfile(userId, guildId);
+  if (profile.error) {
+    toast(profile.error, 'error');
+    return;
+  }
+
+  const c = profile.counts;
+  const stat = (color, icon, value, label) => `
+    <div class="stat-card ${color}">
+      <div class="stat-icon">${icon}</div>
+      <div class="stat-value">${formatNum(value)}</div>
+      <div class="stat-label">${label}</div>
+    </div>
+  `;
+
+  const warningsHtml = profile.activeWarnings.length === 0
+    ? '<div class="empty-state"><p>No active warnings</p></div>'
+    : profile.activeWarnings.map(w => `
+      <div class="log-entry">
+        <span class="log-time">${new Date(w.timestamp).toLocaleDateString()}</span>
+        <span class="log-type warn">${escapeHtml(w.ruleId || 'manual')}</span>
+        <span class="log-severity">${w.moderator?.type === 'human' ? escapeHtml(w.moderator.tag || 'mod') : 'AI'}</span>
+        <span class="log-detail" title="${escapeHtml(w.reason)}">${escapeHtml(w.reason)}</span>
+      </div>
+    `).join('');
+
+  const historyHtml = profile.history.length === 0
+    ? '<div class="empty-state"><p>No infractions on record</p></div>'
+    : profile.history.map(l => {
+      const label = l.type === 'ai_analysis' ? 'ai flag' : l.action;
+      const cls = l.type === 'ai_analysis' ? 'ai_analysis' : l.action;
+      const detail = `${l.channelName ? '#' + l.channelName + ' — ' : ''}${l.reason || l.reasoning || l.messageContent || ''}`;
+      return `
+        <div class="log-entry">
+          <span class="log-time">${new Date(l.timestamp).toLocaleString()}</span>
+          <span class="log-type ${cls}">${escapeHtml(label)}</span>
+          <span class="log-severity" style="color: ${severityColor(l.severity)}">${l.ruleId || (l.violations || []).join(',') || '—'}</span>
+          <span class="log-detail" title="${escapeHtml(detail)}"><span class="log-link" onclick="openLogEntry('${l.id}')">↗</span> ${escapeHtml(detail)}</span>
+        </div>
+      `;
+    }).join('');
+
+  container.innerHTML = `
+    <div class="card" style="margin-bottom: 20px;">
+      <div class="card-title"><span class="icon">👤</span> ${escapeHtml(profile.username || 'Unknown user')} <span style="color: var(--text3); margin-left: 8px; font-family: var(--mono); font-size: 12px;">${escapeHtml(profile.userId)}</span></div>
+    </div>
+    <div class="stats-grid">
+      ${stat('orange', '⚠️', c.warns, 'Warnings')}
+      ${stat('pink', '🔇', c.timeouts, 'Timeouts')}
+      ${stat('red', '👢', c.kicks, 'Kicks')}
+      ${stat('cyan', '🚨', c.banRequests, 'Ban Requests')}
+      ${stat('red', '🔨', c.bans, 'Bans')}
+      ${stat('purple', '🔍', c.aiFlags, 'AI Flags')}
+    </div>
+    <div class="card" style="margin-bottom: 20px;">
+      <div class="card-header">
+        <div class="card-title"><span class="icon">⚠️</span> Active Warnings (${profile.activeWarnings.length})</div>
+      </div>
+      <div class="log-container">${warningsHtml}</div>
+    </div>
+    <div class="card">
+      <div class="card-header">
+        <div class="card-title"><span class="icon">📋</span> History</div>
+      </div>
+      <div class="log-container">${historyHtml}</div>
+    </div>
+  `;
+}
+
 // ─── Settings Page ──────────────────────────────────────────
+// Process-wide settings that only exist in the global config
+const GLOBAL_ONLY_INPUTS = ['setting-token', 'setting-max-concurrent', 'setting-queue-limit', 'setting-queue-policy'];
+
+// Loaded with the settings page; presets are fixed, so they're fetched once
+let moderationStyles = [];
+
 async function loadSettings() {
-  const [settings, token] = await Promise.all([
-    api.getSettings(),
-    api.getBotToken()
+  const [settings, token, styles] = await Promise.all([
+    api.getSettings(configGuildId),
+    api.getBotToken(),
+    moderationStyles.length ? moderationStyles : api.getStyles()
   ]);
+  moderationStyles = styles;
+  renderStyleOptions();
+
+  document.getElementById('settings-scope-note').textContent = configScopeNote();
+  GLOBAL_ONLY_INPUTS.forEach(id => { document.getElementById(id).disabled = !!configGuildId; });
 
   document.getElementById('setting-token').value = token || '';
+  document.getElementById('setting-provider').value = settings.aiProvider || 'pollinations';
+  document.getElementById('setting-model').value = settings.aiModel || '';
+  document.getElementById('setting-base-url').value = settings.aiBaseUrl || '';
+  document.getElementById('setting-ai-key').value = settings.aiApiKey || '';
   document.getElementById('setting-style').value = settings.moderationStyle || 'balanced';
-  document.getElementById('setting-warnings').value = settings.warningsBeforeAction || 2;
-  document.getElementById('setting-ban-user').value = settings.banRequestUser || 'devloafyt';
+  const customStyle = settings.customStyle || {};
+  document.getElementById('setting-custom-base').value = customStyle.basedOn || 'balanced';
+  document.getElementById('setting-custom-prompt').value = customStyle.prompt || '';
+  document.getElementById('setting-custom-offset').value = customStyle.confidenceOffset || 0;
+  document.getElementById('setting-few-shot-budget').value = settings.fewShotTokenBudget ?? 400;
+  document.getElementById('setting-warnings').value = settings.warningsBeforeAction ?? 2;
+  document.getElementById('setting-warning-decay').value = settings.warningDecayDays ?? 30;
+  document.getElementById('setting-escalation-window').value = settings.escalationWindowDays || 30;
   document.getElementById('setting-dm-on-action').checked = settings.dmOnAction !== false;
   document.getElementById('setting-notify-user').checked = settings.notifyUser !== false;
   document.getElementById('setting-log-flagged').checked = settings.logFlaggedOnly !== false;
+  document.getElementById('setting-dry-run').checked = settings.dryRun === true;
+  document.getElementById('setting-dry-run-channel').value = settings.dryRunChannelId || '';
+  document.getElementById('setting-max-concurrent').value = settings.aiMaxConcurrent || 4;
+  document.getElementById('setting-queue-limit').value = settings.aiQueueLimit || 100;
+  document.getElementById('setting-queue-policy').value = settings.aiQueuePolicy || 'drop_oldest';
+  document.getElementById('setting-batch-window').value = settings.aiBatchWindowMs || 0;
+  document.getElementById('setting-batch-size').value = settings.aiBatchMaxSize || 10;
+  document.getElementById('setting-cache-ttl').value = settings.verdictCacheTtlSeconds ?? 300;
+  document.getElementById('setting-prefilter').checked = settings.preFilterEnabled !== false;
+  document.getElementById('setting-blocked-domains').value = (settings.blockedDomains || []).join(',');
+  document.getElementById('setting-allowed-domains').value = (settings.allowedDomains || []).join(',');
   document.getElementById('setting-ignored-channels').value = (settings.ignoredChannels || []).join(',');
   document.getElementById('setting-ignored-roles').value = (settings.ignoredRoles || []).join(',');
   document.getElementById('setting-trusted-roles').value = (settings.trustedRoles || []).join(',');
+  updateStyleFields();
+
+  // Channels and roles can only be picked from a connected server, so the
+  // pickers are disabled for the global defaults
+  const response = configGuildId ? await api.getGuildResources(configGuildId).catch(() => null) : null;
+  const resources = response && !response.error ? response : null;
+  const pickerNote = !configGuildId
+    ? 'Pick a server above to choose from its channels and roles.'
+    : resources ? '' : 'Start the bot to pick from this server\'s channels and roles.';
+  loadModLogSettings(settings, resources, pickerNote);
+  loadBanReviewSettings(settings, resources, pickerNote);
+}
+
+// Keeps a saved channel selectable even when the server can't be read right now
+function renderChannelSelect(select, channels, channelId) {
+  const options = channelId && !channels.some(c => c.id === channelId)
+    ? [...channels, { id: channelId, name: `unknown (${channelId})` }]
+    : channels;
+  select.innerHTML = '<option value="">— Not set —</option>' +
+    options.map(c => `<option value="${c.id}" ${c.id === channelId ? 'selected' : ''}>#${escapeHtml(c.name)}</option>`).join('');
+  select.disabled = !configGuildId;
+}
+
+function loadModLogSettings(settings, resources, pickerNote) {
+  renderChannelSelect(document.getElementById('setting-mod-log-channel'), resources?.channels || [], settings.modLogChannelId || '');
+  document.getElementById('mod-log-note').textContent = pickerNote;
+}
+
+function loadBanReviewSettings(settings, resources, pickerNote) {
+  const roleIds = settings.banReviewerRoleIds || [];
+  const roles = [...(resources?.roles || [])];
+  roleIds.filter(id => !roles.some(r => r.id === id)).forEach(id => roles.push({ id, name: `unknown (${id})` }));
+
+  renderChannelSelect(document.getElementById('setting-ban-channel'), resources?.channels || [], settings.banReviewChannelId || '');
+  const roleSelect = document.getElementById('setting-ban-roles');
+  roleSelect.innerHTML = roles.map(r => `<option value="${r.id}" ${roleIds.includes(r.id) ? 'selected' : ''}>@${escapeHtml(r.name)}</option>`).join('');
+  roleSelect.disabled = !configGuildId;
+
+  document.getElementById('setting-ban-users').value = (settings.banReviewerUserIds || []).join(',');
+  document.getElementById('setting-ban-user').value = settings.banRequestUser || 'devloafyt';
+  document.getElementById('setting-ban-approvals').value = settings.banApprovalsRequired || 1;
+  document.getElementById('setting-ban-expiry').value = settings.banReviewExpiryHours ?? 48;
+  document.getElementById('ban-review-note').textContent = pickerNote;
+}
+
+function renderStyleOptions() {
+  const options = moderationStyles.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)} — ${escapeHtml(s.description)}</option>`).join('');
+  document.getElementById('setting-style').innerHTML = options + '<option value="custom">Custom — your own mix, based on a preset</option>';
+  document.getElementById('setting-custom-base').innerHTML = options;
+}
+
+// Picking a preset fills in its warning count; the saved count is shown otherwise
+function updateStyleFields(changed = false) {
+  const id = document.getElementById('setting-style').value;
+  const preset = moderationStyles.find(s => s.id === id);
+
+  document.getElementById('custom-style-fields').style.display = id === 'custom' ? 'block' : 'none';
+  if (changed && preset) document.getElementById('setting-warnings').value = preset.warningsBeforeAction;
+  document.getElementById('setting-style-note').textContent = preset
+    ? `Confidence ${preset.confidenceOffset > 0 ? '+' : ''}${preset.confidenceOffset} · ${preset.warningsBeforeAction} warning(s) before action on default low/medium rules`
+    : '';
 }
 
 async function saveConnectionSettings() {
@@ -591,11 +1426,23 @@ async function saveConnectionSettings() {
 }
 
 async function saveAISettings() {
+  const style = document.getElementById('setting-style').value;
   await api.updateSettings({
-    moderationStyle: document.getElementById('setting-style').value,
-    warningsBeforeAction: parseInt(document.getElementById('setting-warnings').value) || 2,
-    banRequestUser: document.getElementById('setting-ban-user').value.trim() || 'devloafyt'
-  });
+    aiProvider: document.getElementById('setting-provider').value,
+    aiModel: document.getElementById('setting-model').value.trim(),
+    aiBaseUrl: document.getElementById('setting-base-url').value.trim(),
+    aiApiKey: document.getElementById('setting-ai-key').value.trim(),
+    moderationStyle: style,
+    customStyle: {
+      basedOn: document.getElementById('setting-custom-base').value,
+      prompt: document.getElementById('setting-custom-prompt').value.trim(),
+      confidenceOffset: parseFloat(document.getElementById('setting-custom-offset').value) || 0
+    },
+    fewShotTokenBudget: Math.max(parseInt(document.getElementById('setting-few-shot-budget').value) || 0, 0),
+    warningDecayDays: Math.max(parseInt(document.getElementById('setting-warning-decay').value) || 0, 0),
+    escalationWindowDays: Math.max(parseInt(document.getElementById('setting-escalation-window').value) || 30, 1),
+    warningsBeforeAction: Math.max(parseInt(document.getElementById('setting-warnings').value) || 0, 0)
+  }, configGuildId);
   toast('AI settings saved!', 'success');
 }
 
@@ -604,26 +1451,149 @@ async function saveNotificationSettings() {
     dmOnAction: document.getElementById('setting-dm-on-action').checked,
     notifyUser: document.getElementById('setting-notify-user').checked,
     logFlaggedOnly: document.getElementById('setting-log-flagged').checked
-  });
+  }, configGuildId);
   toast('Notification settings saved!', 'success');
 }
 
+async function saveModLogSettings() {
+  if (!configGuildId) return toast('Pick a server first — each server has its own mod-log channel', 'error');
+  await api.updateSettings({ modLogChannelId: document.getElementById('setting-mod-log-channel').value }, configGuildId);
+  toast('Mod-log channel saved!', 'success');
+}
+
+async function saveBanReviewSettings() {
+  const updates = {
+    banReviewerUserIds: document.getElementById('setting-ban-users').value.split(',').map(s => s.trim()).filter(Boolean),
+    banRequestUser: document.getElementById('setting-ban-user').value.trim() || 'devloafyt',
+    banApprovalsRequired: Math.min(Math.max(parseInt(document.getElementById('setting-ban-approvals').value) || 1, 1), 10),
+    banReviewExpiryHours: Math.min(Math.max(parseInt(document.getElementById('setting-ban-expiry').value) || 0, 0), 168)
+  };
+  if (updates.banReviewerUserIds.some(id => !/^\d{15,25}$/.test(id))) {
+    toast('Reviewer user IDs must be Discord user IDs (numbers)', 'error');
+    return;
+  }
+  if (configGuildId) {
+    updates.banReviewChannelId = document.getElementById('setting-ban-channel').value;
+    updates.banReviewerRoleIds = [...document.getElementById('setting-ban-roles').selectedOptions].map(o => o.value);
+  }
+  await api.updateSettings(updates, configGuildId);
+  toast('Ban review settings saved!', 'success');
+}
+
+async function saveDryRunSettings() {
+  await api.updateSettings({
+    dryRun: document.getElementById('setting-dry-run').checked,
+    dryRunChannelId: document.getElementById('setting-dry-run-channel').value.trim()
+  }, configGuildId);
+  toast('Dry-run settings saved!', 'success');
+}
+
 async function saveAdvancedSettings() {
   const parseCsv = (val) => val.split(',').map(s => s.trim()).filter(Boolean);
   await api.updateSettings({
+    aiMaxConcurrent: parseInt(document.getElementById('setting-max-concurrent').value) || 4,
+    aiQueueLimit: parseInt(document.getElementById('setting-queue-limit').value) || 100,
+    aiQueuePolicy: document.getElementById('setting-queue-policy').value,
+    aiBatchWindowMs: Math.max(parseInt(document.getElementById('setting-batch-window').value) || 0, 0),
+    aiBatchMaxSize: parseInt(document.getElementById('setting-batch-size').value) || 10,
+    verdictCacheTtlSeconds: Math.max(parseInt(document.getElementById('setting-cache-ttl').value) || 0, 0),
+    preFilterEnabled: document.getElementById('setting-prefilter').checked,
+    blockedDomains: parseCsv(document.getElementById('setting-blocked-domains').value.toLowerCase()),
+    allowedDomains: parseCsv(document.getElementById('setting-allowed-domains').value.toLowerCase()),
     ignoredChannels: parseCsv(document.getElementById('setting-ignored-channels').value),
     ignoredRoles: parseCsv(document.getElementById('setting-ignored-roles').value),
     trustedRoles: parseCsv(document.getElementById('setting-trusted-roles').value)
-  });
+  }, configGuildId);
   toast('Advanced settings saved!', 'success');
 }
 
 async function resetAllSettings() {
-  await api.resetConfig();
-  toast('All settings reset to defaults', 'info');
+  if (configGuildId) {
+    await api.resetGuildSettings(configGuildId);
+    toast('Server settings now follow the global defaults', 'info');
+  } else {
+    await api.resetConfig();
+    toast('All settings reset to defaults', 'info');
+  }
   loadSettings();
 }
 
+// ─── Ban Requests Page ──────────────────────────────────────
+async function loadBanRequests() {
+  const container = document.getElementById('ban-requests');
+  const status = document.getElementById('ban-filter-status').value;
+  const requests = await api.getBanRequests(status);
+  if (status === 'pending') updateBanBadge(requests.length);
+
+  if (requests.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="icon">🔨</div>
+        <h3>No ${status || ''} ban requests</h3>
+        <p>ColorGG asks for a ban when it catches a critical violation</p>
+      </div>
+    `;
+    return;
+  }
+  container.innerHTML = requests.map(renderBanRequest).join('');
+}
+
+function renderBanRequest(r) {
+  const votes = r.votes || [];
+  const voters = vote => votes.filter(v => v.vote === vote).map(v => escapeHtml(v.moderator.tag || '?')).join(', ');
+  const tally = r.approvalsRequired > 1 || votes.length > 0
+    ? `<div class="log-detail" style="margin-top: 8px;">🗳️ ✅ ${votes.filter(v => v.vote === 'approve').length}${voters('approve') ? ` (${voters('approve')})` : ''} · ❌ ${votes.filter(v => v.vote === 'deny').length}${voters('deny') ? ` (${voters('deny')})` : ''} — ${r.approvalsRequired} needed</div>`
+    : '';
+  const expiry = r.status === 'pending' && r.expiresAt ? ` · auto-deny ${new Date(r.expiresAt).toLocaleString()}` : '';
+  const decided = r.status !== 'pending'
+    ? `<div class="log-detail" style="margin-top: 8px;">${escapeHtml(r.status)}${r.resolvedBy?.tag ? ` by ${escapeHtml(r.resolvedBy.tag)}` : ''}${r.resolvedAt ? ` · ${new Date(r.resolvedAt).toLocaleString()}` : ''}${r.note ? ` — ${escapeHtml(r.note)}` : ''}</div>`
+    : `<div style="display: flex; gap: 8px; margin-top: 12px;">
+        <button class="btn btn-sm btn-danger" onclick="decideBanRequest('${r.id}', 'approve')">✅ Approve Ban</button>
+        <button class="btn btn-sm" onclick="decideBanRequest('${r.id}', 'deny')">❌ Deny</button>
+      </div>`;
+
+  return `
+    <div class="card" style="margin-bottom: 12px;">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+        <div>
+          <span class="log-type ${r.status}">${r.status}</span>
+          <strong style="margin-left: 8px;">${escapeHtml(r.username)}</strong>
+          <span class="log-link" onclick="openUserProfile('${r.userId}', '${r.guildId}')">👤</span>
+          <span style="color: var(--text3); margin-left: 8px;">${escapeHtml(r.guildName || '')} · #${escapeHtml(r.channelName || '?')}</span>
+        </div>
+        <div style="color: var(--text3); font-size: 12px; font-family: var(--monospace);">
+          ${new Date(r.createdAt).toLocaleString()} · ${r.kicked ? 'kicked' : 'timed out'}${expiry}${r.delivered ? '' : ' · not delivered to Discord'}
+        </div>
+      </div>
+      <pre class="playground-raw">${escapeHtml(r.messageContent || '')}</pre>
+      <div class="log-detail" style="margin-top: 8px;">
+        [${escapeHtml((r.violations || []).join(', '))}] ${formatPercent(r.confidence)} — ${escapeHtml(r.reason || '')}
+      </div>
+      ${tally}
+      ${decided}
+    </div>
+  `;
+}
+
+async function decideBanRequest(id, decision) {
+  if (decision === 'approve' && !confirm('Ban this user from the server?')) return;
+  const result = await api.decideBanRequest(id, decision);
+  if (result.error) return toast(result.error, 'error');
+  if (result.status === 'pending') {
+    const votes = (result.votes || []).filter(v => v.vote === decision).length;
+    toast(`Vote recorded — ${votes} of ${result.approvalsRequired} needed to ${decision}`, 'info');
+  } else {
+    toast(decision === 'approve' ? `${result.username} has been banned` : 'Ban request denied', 'success');
+  }
+  loadBanRequests();
+}
+
+function updateBanBadge(count) {
+  const badge = document.getElementById('ban-badge');
+  badge.textContent = count;
+  badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
 // ─── Summaries Page ─────────────────────────────────────────
 async function loadSummaries() {
   const container = document.getElementById('summaries-container');
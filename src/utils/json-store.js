@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared data directory (same one ConfigManager writes config.json into)
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+/**
+ * Read a JSON file from the data directory, returning `fallback` if it
+ * doesn't exist or can't be parsed
+ */
+function readJson(name, fallback) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    console.error(`Failed to load ${name}, using defaults:`, e.message);
+  }
+  return fallback;
+}
+
+/**
+ * Write a JSON file into the data directory
+ */
+function writeJson(name, data) {
+  try {
+    fs.writeFileSync(path.join(DATA_DIR, name), JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error(`Failed to save ${name}:`, e.message);
+  }
+}
+
+module.exports = { DATA_DIR, readJson, writeJson };
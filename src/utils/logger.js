@@ -12,6 +12,7 @@ class Logger {
     this.logs = [];
     this.maxMemoryLogs = 5000;
     this.listeners = [];
+    this.updateListeners = [];
   }
 
   _getLogFile() {
@@ -63,12 +64,44 @@ class Logger {
       channelName: data.channelName,
       guildId: data.guildId,
       guildName: data.guildName,
+      messageId: data.messageId || null,
       messageContent: data.messageContent,
       reason: data.reason,
       ruleId: data.ruleId,
+      violations: data.violations || (data.ruleId ? [data.ruleId] : []),
       severity: data.severity,
       aiConfidence: data.aiConfidence,
-      duration: data.duration || null
+      duration: data.duration || null,
+      escalation: data.escalation || null,
+      warningId: data.warningId || null,
+      moderator: data.moderator || null,
+      revertOf: data.revertOf || null
+    });
+  }
+
+  /**
+   * What _takeAction would have done in dry-run mode (nothing was enforced)
+   */
+  wouldAction(data) {
+    return this.log({
+      type: 'would_action',
+      action: data.action,
+      userId: data.userId,
+      username: data.username,
+      channelId: data.channelId,
+      channelName: data.channelName,
+      guildId: data.guildId,
+      guildName: data.guildName,
+      messageContent: data.messageContent,
+      reason: data.reason,
+      ruleId: data.ruleId,
+      violations: data.violations || (data.ruleId ? [data.ruleId] : []),
+      severity: data.severity,
+      aiConfidence: data.aiConfidence,
+      ruleConfidence: data.ruleConfidence || null,
+      duration: data.duration || null,
+      escalation: data.escalation || null,
+      dryRun: data.dryRun
     });
   }
 
@@ -79,11 +112,27 @@ class Logger {
       username: data.username,
       channelId: data.channelId,
       channelName: data.channelName,
+      guildId: data.guildId,
+      guildName: data.guildName,
       messageContent: data.messageContent,
       flagged: data.flagged,
       violations: data.violations,
       confidence: data.confidence,
-      reasoning: data.reasoning
+      reasoning: data.reasoning,
+      source: data.source || 'ai',
+      cached: data.cached === true
+    });
+  }
+
+  parseFailure(data) {
+    return this.log({
+      type: 'ai_parse_failure',
+      task: data.task,
+      guildId: data.guildId,
+      attempt: data.attempt,
+      retrying: data.retrying,
+      errors: data.errors,
+      response: typeof data.response === 'string' ? data.response.substring(0, 2000) : null
     });
   }
 
@@ -130,6 +179,89 @@ class Logger {
     return filtered;
   }
 
+  /**
+   * Read persisted log entries from the daily log files (newest last).
+   * Unlike getLogs() this survives restarts and clearMemory().
+   */
+  _readLogFiles(days = 90) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    let files = [];
+    try {
+      files = fs.readdirSync(LOG_DIR)
+        .filter(f => /^modlog-\d{4}-\d{2}-\d{2}\.json$/.test(f))
+        .filter(f => f.slice(7, 17) >= cutoff)
+        .sort();
+    } catch (e) {
+      console.error('Failed to list log files:', e.message);
+    }
+
+    const entries = [];
+    for (const f of files) {
+      try {
+        entries.push(...JSON.parse(fs.readFileSync(path.join(LOG_DIR, f), 'utf8')));
+      } catch (e) {
+        console.error(`Failed to read ${f}:`, e.message);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Moderation history for a user — mod actions and AI flags, newest first
+   */
+  getUserHistory(userId, options = {}) {
+    return this._readLogFiles(options.days)
+      .filter(l => l.userId === userId)
+      .filter(l => !options.guildId || l.guildId === options.guildId)
+      .filter(l => l.type === 'mod_action' || (l.type === 'ai_analysis' && l.flagged) ||
+        (options.includeDryRun && l.type === 'would_action'))
+      .reverse();
+  }
+
+  /**
+   * Persisted entries of the given types from the last `days` days, oldest first
+   */
+  getPersistedLogs(types, days) {
+    return this._readLogFiles(days).filter(l => types.includes(l.type));
+  }
+
+  /**
+   * Look up a single log entry by ID (memory first, then log files)
+   */
+  getLogById(id) {
+    return this.logs.find(l => l.id === id) || this._readLogFiles().find(l => l.id === id) || null;
+  }
+
+  /**
+   * Merge fields into an existing entry, both in memory and in the daily file
+   * it was written to. Returns the updated entry, or null if it wasn't found.
+   */
+  update(id, fields) {
+    const entry = this.getLogById(id);
+    if (!entry) return null;
+
+    const inMemory = this.logs.find(l => l.id === id);
+    if (inMemory) Object.assign(inMemory, fields);
+
+    try {
+      const file = path.join(LOG_DIR, `modlog-${entry.timestamp.split('T')[0]}.json`);
+      const existing = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const stored = existing.find(l => l.id === id);
+      if (stored) {
+        Object.assign(stored, fields);
+        fs.writeFileSync(file, JSON.stringify(existing, null, 2));
+      }
+    } catch (e) {
+      console.error('Failed to update log:', e.message);
+    }
+
+    const updated = { ...entry, ...fields };
+    this.updateListeners.forEach(fn => {
+      try { fn(updated, fields); } catch (e) {}
+    });
+    return updated;
+  }
+
   getRecentLogs(count = 100) {
     return this.logs.slice(-count);
   }
@@ -142,8 +274,8 @@ class Logger {
     const recent24h = this.logs.filter(l => new Date(l.timestamp) >= last24h);
     const recent7d = this.logs.filter(l => new Date(l.timestamp) >= last7d);
 
-    const actions24h = recent24h.filter(l => l.type === 'mod_action');
-    const actions7d = recent7d.filter(l => l.type === 'mod_action');
+    const actions24h = recent24h.filter(l => this._isCountedAction(l));
+    const actions7d = recent7d.filter(l => this._isCountedAction(l));
 
     return {
       total: this.logs.length,
@@ -155,7 +287,9 @@ class Logger {
         kicks: actions24h.filter(a => a.action === 'kick').length,
         banRequests: actions24h.filter(a => a.action === 'request_ban').length,
         flagged: recent24h.filter(l => l.type === 'ai_analysis' && l.flagged).length,
-        clean: recent24h.filter(l => l.type === 'ai_analysis' && !l.flagged).length
+        clean: recent24h.filter(l => l.type === 'ai_analysis' && !l.flagged).length,
+        parseFailures: recent24h.filter(l => l.type === 'ai_parse_failure').length,
+        wouldActions: recent24h.filter(l => l.type === 'would_action').length
       },
       last7d: {
         total: recent7d.length,
@@ -163,13 +297,30 @@ class Logger {
         warns: actions7d.filter(a => a.action === 'warn').length,
         timeouts: actions7d.filter(a => a.action === 'timeout').length,
         kicks: actions7d.filter(a => a.action === 'kick').length,
-        banRequests: actions7d.filter(a => a.action === 'request_ban').length
+        banRequests: actions7d.filter(a => a.action === 'request_ban').length,
+        parseFailures: recent7d.filter(l => l.type === 'ai_parse_failure').length,
+        wouldActions: recent7d.filter(l => l.type === 'would_action').length
       },
-      byRule: this._countByField(this.logs.filter(l => l.type === 'mod_action'), 'ruleId'),
-      bySeverity: this._countByField(this.logs.filter(l => l.type === 'mod_action'), 'severity')
+      byRule: this._countByRule(this.logs.filter(l => this._isCountedAction(l))),
+      bySeverity: this._countByField(this.logs.filter(l => this._isCountedAction(l)), 'severity')
     };
   }
 
+  // Undone actions and the entries recording the undo don't count as actions
+  _isCountedAction(entry) {
+    return entry.type === 'mod_action' && !entry.revertOf && !entry.reverted;
+  }
+
+  // Every violated rule counts, not just the one the action was taken under
+  _countByRule(arr) {
+    const counts = {};
+    arr.forEach(item => {
+      const ids = item.violations?.length ? item.violations : [item.ruleId || 'unknown'];
+      ids.forEach(id => { counts[id] = (counts[id] || 0) + 1; });
+    });
+    return counts;
+  }
+
   _countByField(arr, field) {
     const counts = {};
     arr.forEach(item => {
@@ -186,6 +337,16 @@ class Logger {
     };
   }
 
+  /**
+   * Called with (entry, fields) whenever update() changes an entry
+   */
+  onUpdate(fn) {
+    this.updateListeners.push(fn);
+    return () => {
+      this.updateListeners = this.updateListeners.filter(l => l !== fn);
+    };
+  }
+
   clearMemory() {
     this.logs = [];
   }